@@ -5,7 +5,152 @@
 class FileHandler {
     constructor() {
         this.maxFileSize = 50 * 1024 * 1024; // 50MB limit
-        this.supportedTypes = ['.ldtk'];
+        this.supportedTypes = ['.ldtk', '.ldtkl'];
+        this.tilesetMappingKey = 'ldtk2tscn_tileset_mapping';
+    }
+
+    /**
+     * Load a project file together with its external level files (.ldtkl)
+     */
+    async loadProjectFiles(files) {
+        const projectFiles = files.filter(file => this.getFileExtension(file.name) === '.ldtk');
+        
+        if (projectFiles.length === 0) {
+            throw new Error('No .ldtk project file selected');
+        }
+        
+        // A selected folder may also hold backups or other projects deeper
+        // down, so the shallowest .ldtk is taken as the project
+        const depth = file => this.getFilePath(file).split('/').length;
+        const [projectFile, ...ignoredFiles] = [...projectFiles].sort((a, b) => depth(a) - depth(b));
+        
+        if (ignoredFiles.length > 0) {
+            Utils.log(`Using ${this.getFilePath(projectFile)}; ignoring other .ldtk files: ${ignoredFiles.map(file => this.getFilePath(file)).join(', ')}`, 'warning');
+        }
+        
+        const content = await this.loadFile(projectFile);
+        const levelFiles = [];
+        
+        for (const file of files) {
+            if (this.getFileExtension(file.name) === '.ldtkl') {
+                levelFiles.push({
+                    path: this.getFilePath(file),
+                    content: await this.loadFile(file)
+                });
+            }
+        }
+        
+        return { projectFile, content, levelFiles };
+    }
+
+    /**
+     * Get the path of a file relative to the selected or dropped folder
+     */
+    getFilePath(file) {
+        return file.relativePath || file.webkitRelativePath || file.name;
+    }
+
+    /**
+     * Collect files from a drop, walking into dropped folders
+     */
+    async collectDroppedFiles(dataTransfer) {
+        const entries = Array.from(dataTransfer.items || [])
+            .map(item => item.webkitGetAsEntry ? item.webkitGetAsEntry() : null)
+            .filter(Boolean);
+        
+        // Browsers without entry support only give flat files
+        if (entries.length === 0) {
+            return Array.from(dataTransfer.files);
+        }
+        
+        const files = [];
+        for (const entry of entries) {
+            await this.collectEntryFiles(entry, files);
+        }
+        
+        return files;
+    }
+
+    /**
+     * Recursively read a FileSystemEntry into File objects
+     */
+    async collectEntryFiles(entry, files) {
+        if (entry.isFile) {
+            const file = await new Promise((resolve, reject) => entry.file(resolve, reject));
+            file.relativePath = entry.fullPath.replace(/^\//, '');
+            files.push(file);
+            return;
+        }
+        
+        const reader = entry.createReader();
+        let batch;
+        
+        // readEntries returns directory contents in batches until empty
+        do {
+            batch = await new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+            for (const child of batch) {
+                await this.collectEntryFiles(child, files);
+            }
+        } while (batch.length > 0);
+    }
+
+    /**
+     * Merge external level files into the project data.
+     * Levels are matched by externalRelPath, falling back to the file name.
+     */
+    mergeExternalLevels(ldtkData, levelFiles) {
+        if (!ldtkData.externalLevels || levelFiles.length === 0) {
+            return ldtkData;
+        }
+        
+        const normalize = (filePath) => filePath.replace(/\\/g, '/');
+        const basename = (filePath) => normalize(filePath).split('/').pop();
+        
+        const mergeLevel = (level) => {
+            if (!level.externalRelPath || level.layerInstances) {
+                return level;
+            }
+            
+            const relPath = normalize(level.externalRelPath);
+            const levelFile = levelFiles.find(file => {
+                const filePath = normalize(file.path);
+                return filePath === relPath || filePath.endsWith(`/${relPath}`);
+            }) || levelFiles.find(file => basename(file.path) === basename(relPath));
+            
+            if (!levelFile) {
+                return level;
+            }
+            
+            const parseResult = Utils.parseJSON(levelFile.content);
+            if (!parseResult.success) {
+                throw new Error(`Invalid level file ${levelFile.path}: ${parseResult.error}`);
+            }
+            
+            return { ...level, ...parseResult.data };
+        };
+        
+        const mergedData = {
+            ...ldtkData,
+            levels: (ldtkData.levels || []).map(mergeLevel)
+        };
+        
+        if (ldtkData.worlds) {
+            mergedData.worlds = ldtkData.worlds.map(world => ({
+                ...world,
+                levels: (world.levels || []).map(mergeLevel)
+            }));
+        }
+        
+        return mergedData;
+    }
+
+    /**
+     * List external levels whose level file has not been loaded
+     */
+    getMissingExternalLevels(ldtkData) {
+        return Utils.getProjectLevels(ldtkData)
+            .filter(level => level.externalRelPath && !level.layerInstances)
+            .map(level => level.externalRelPath);
     }
 
     /**
@@ -129,11 +274,11 @@ class FileHandler {
                 return { isValid: false, error: 'Not a valid LDtk project file' };
             }
 
-            if (!data.levels || !Array.isArray(data.levels)) {
+            if (!Array.isArray(data.levels) && !Array.isArray(data.worlds)) {
                 return { isValid: false, error: 'Missing or invalid levels data' };
             }
 
-            if (data.levels.length === 0) {
+            if (Utils.getProjectLevels(data).length === 0) {
                 return { isValid: false, error: 'No levels found in the file' };
             }
 
@@ -141,18 +286,6 @@ class FileHandler {
                 return { isValid: false, error: 'Missing tileset definitions' };
             }
 
-            // Check for supported tilesets
-            const supportedTilesets = data.defs.tilesets.filter(tileset => 
-                tileset.identifier === 'SunnyLand_by_Ansimuz'
-            );
-
-            if (supportedTilesets.length === 0) {
-                return { 
-                    isValid: false, 
-                    error: 'No supported tilesets found. This converter currently supports: SunnyLand_by_Ansimuz' 
-                };
-            }
-
             return { isValid: true, data: data };
 
         } catch (error) {
@@ -169,7 +302,8 @@ class FileHandler {
             fileSize: Utils.formatFileSize(file.size),
             lastModified: new Date(file.lastModified).toLocaleString(),
             ldtkVersion: ldtkData.__header__.appVersion || 'Unknown',
-            levelCount: ldtkData.levels ? ldtkData.levels.length : 0,
+            levelCount: Utils.getProjectLevels(ldtkData).length,
+            worldCount: Utils.getProjectWorlds(ldtkData).length,
             tilesetCount: ldtkData.defs && ldtkData.defs.tilesets ? ldtkData.defs.tilesets.length : 0,
             worldLayout: ldtkData.worldLayout || 'Unknown'
         };
@@ -194,20 +328,22 @@ class FileHandler {
             }
         }
 
-        // Check for unsupported features
+        // Check that every external level file was provided
         if (ldtkData.externalLevels) {
-            issues.push('External levels are not supported');
+            const missingLevels = this.getMissingExternalLevels(ldtkData);
+            
+            if (missingLevels.length > 0) {
+                issues.push(`Missing external level files: ${missingLevels.join(', ')}`);
+            }
         }
 
-        // Check tileset compatibility
+        // Tilesets without an image file need a texture path in the tileset mapping
         if (ldtkData.defs && ldtkData.defs.tilesets) {
-            const unsupportedTilesets = ldtkData.defs.tilesets.filter(tileset => 
-                tileset.identifier !== 'SunnyLand_by_Ansimuz' && tileset.identifier !== 'Internal_Icons'
-            );
+            const embeddedTilesets = ldtkData.defs.tilesets.filter(tileset => !tileset.relPath);
 
-            if (unsupportedTilesets.length > 0) {
-                const names = unsupportedTilesets.map(t => t.identifier).join(', ');
-                warnings.push(`Unsupported tilesets will be skipped: ${names}`);
+            if (embeddedTilesets.length > 0) {
+                const names = embeddedTilesets.map(t => t.identifier).join(', ');
+                warnings.push(`Tilesets without an image file are skipped unless mapped: ${names}`);
             }
         }
 
@@ -239,6 +375,61 @@ class FileHandler {
         }
     }
 
+    /**
+     * Read resource UIDs from existing Godot files so reconversions keep them:
+     * .tres/.tscn headers are keyed by the file path, .import files by their
+     * source file. Returns { "<project-relative path>": "uid://..." }
+     */
+    parseResourceUIDs(files) {
+        const uids = {};
+        
+        for (const file of files) {
+            if (this.getFileExtension(file.path) === '.import') {
+                const uidMatch = file.content.match(/^uid="(uid:\/\/[a-z0-9]+)"/m);
+                const sourceMatch = file.content.match(/^source_file="res:\/\/([^"]+)"/m);
+                
+                if (uidMatch) {
+                    uids[sourceMatch ? sourceMatch[1] : file.path.replace(/\.import$/, '')] = uidMatch[1];
+                }
+                continue;
+            }
+            
+            const headerMatch = file.content.match(/^\[gd_(?:resource|scene)\b[^\]]*\buid="(uid:\/\/[a-z0-9]+)"/);
+            if (headerMatch) {
+                uids[file.path] = headerMatch[1];
+            }
+        }
+        
+        return uids;
+    }
+
+    /**
+     * Persist the tileset mapping JSON text
+     */
+    saveTilesetMapping(text) {
+        try {
+            if (text.trim()) {
+                localStorage.setItem(this.tilesetMappingKey, text);
+            } else {
+                localStorage.removeItem(this.tilesetMappingKey);
+            }
+        } catch (error) {
+            Utils.log(`Failed to save tileset mapping: ${error.message}`, 'warning');
+        }
+    }
+
+    /**
+     * Load the persisted tileset mapping JSON text
+     */
+    loadTilesetMapping() {
+        try {
+            return localStorage.getItem(this.tilesetMappingKey) || '';
+        } catch (error) {
+            Utils.log(`Failed to load tileset mapping: ${error.message}`, 'warning');
+            return '';
+        }
+    }
+
     /**
      * Clear old backups to save space
      */
@@ -0,0 +1,106 @@
+/**
+ * IntGrid value mapping utilities for LDtk to TSCN conversion
+ */
+
+class IntGridMapper {
+    constructor() {
+        // Value identifiers treated as solid when no table entry says otherwise
+        this.solidIdentifierPattern = /wall|solid|ground|collision|block/i;
+
+        // Godot Variant type ids used by TileSet custom data layers
+        this.VARIANT_TYPES = {
+            boolean: 1,
+            integer: 2,
+            float: 3,
+            string: 4
+        };
+    }
+
+    /**
+     * Build the value table for an IntGrid layer.
+     * Entries from the user table can be keyed by value or by value identifier:
+     * { "wall": { "collision": true, "collisionLayer": 1, "customData": { "damage": 0 } } }
+     */
+    buildValueTable(valueDefs, userTable = {}) {
+        const table = new Map();
+
+        for (const valueDef of valueDefs) {
+            const override = userTable[valueDef.value] || userTable[valueDef.identifier] || {};
+            const identifier = valueDef.identifier || `value_${valueDef.value}`;
+
+            table.set(valueDef.value, {
+                value: valueDef.value,
+                identifier: identifier,
+                collision: override.collision !== undefined
+                    ? !!override.collision
+                    : this.solidIdentifierPattern.test(identifier),
+                collisionLayer: override.collisionLayer || 1,
+                customData: override.customData || {}
+            });
+        }
+
+        return table;
+    }
+
+    /**
+     * Get custom data values for a table entry.
+     * The IntGrid value and identifier are always exported.
+     */
+    getCustomDataValues(entry) {
+        return {
+            intgrid_value: entry.value,
+            intgrid_identifier: entry.identifier,
+            ...entry.customData
+        };
+    }
+
+    /**
+     * Collect custom data layer definitions used by a value table
+     */
+    getCustomDataLayers(valueTable) {
+        const layers = [];
+
+        for (const entry of valueTable.values()) {
+            for (const [name, value] of Object.entries(this.getCustomDataValues(entry))) {
+                if (!layers.some(layer => layer.name === name)) {
+                    layers.push({ name, type: this.getVariantType(value) });
+                }
+            }
+        }
+
+        return layers;
+    }
+
+    /**
+     * Collect the distinct collision layers used by solid values
+     */
+    getPhysicsLayers(valueTable) {
+        const physicsLayers = [];
+
+        for (const entry of valueTable.values()) {
+            if (entry.collision && !physicsLayers.includes(entry.collisionLayer)) {
+                physicsLayers.push(entry.collisionLayer);
+            }
+        }
+
+        return physicsLayers;
+    }
+
+    /**
+     * Get Godot Variant type for a custom data value
+     */
+    getVariantType(value) {
+        if (typeof value === 'boolean') {
+            return this.VARIANT_TYPES.boolean;
+        }
+
+        if (typeof value === 'number') {
+            return Number.isInteger(value) ? this.VARIANT_TYPES.integer : this.VARIANT_TYPES.float;
+        }
+
+        return this.VARIANT_TYPES.string;
+    }
+}
+
+// Export for use in other modules
+window.IntGridMapper = IntGridMapper;
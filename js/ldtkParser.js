@@ -6,6 +6,10 @@ class LDtkParser {
     constructor() {
         this.data = null;
         this.tilesetMapper = new TilesetMapper();
+        this.intGridMapper = new IntGridMapper();
+
+        // LDtk layer types that can hold tiles (IntGrid only with auto-rules)
+        this.tileLayerTypes = ['Tiles', 'AutoLayer', 'IntGrid'];
     }
 
     /**
@@ -18,7 +22,14 @@ class LDtkParser {
             throw new Error(`Invalid JSON: ${parseResult.error}`);
         }
         
-        this.data = parseResult.data;
+        return this.loadData(parseResult.data);
+    }
+
+    /**
+     * Load already parsed LDtk project data (e.g. after merging external levels)
+     */
+    loadData(data) {
+        this.data = data;
         
         // Validate LDtk file structure
         const validation = Utils.validateLDtkFile(this.data);
@@ -26,39 +37,152 @@ class LDtkParser {
             throw new Error(`Invalid LDtk file: ${validation.errors.join(', ')}`);
         }
         
+        this.tilesetMapper.loadTilesets(this.getTilesets());
+        
         Utils.log('LDtk file parsed successfully');
         return this.data;
     }
 
+    /**
+     * Get worlds from the LDtk file
+     */
+    getWorlds() {
+        if (!this.data) {
+            return [];
+        }
+        
+        return Utils.getProjectWorlds(this.data).map(world => ({
+            identifier: world.identifier,
+            iid: world.iid,
+            worldLayout: world.worldLayout,
+            levelCount: (world.levels || []).length,
+            implicit: !!world.implicit
+        }));
+    }
+
     /**
      * Get available levels from the LDtk file
      */
     getLevels() {
-        if (!this.data || !this.data.levels) {
+        if (!this.data) {
             return [];
         }
         
-        return this.data.levels.map(level => ({
+        return Utils.getProjectWorlds(this.data).flatMap(world =>
+            (world.levels || []).map(level => this.summarizeLevel(level, world))
+        );
+    }
+
+    /**
+     * Build the level summary used by the UI and conversion data.
+     * The world identifier is only set for projects with real worlds.
+     */
+    summarizeLevel(level, world) {
+        return {
             identifier: level.identifier,
             iid: level.iid,
             uid: level.uid,
+            worldIdentifier: world && !world.implicit ? world.identifier : null,
+            worldIid: world ? world.iid : null,
             worldX: level.worldX,
             worldY: level.worldY,
             pxWid: level.pxWid,
             pxHei: level.pxHei,
+            neighbours: (level.__neighbours || []).map(neighbour => ({
+                levelIid: neighbour.levelIid,
+                dir: neighbour.dir
+            })),
             layerCount: level.layerInstances ? level.layerInstances.length : 0
-        }));
+        };
     }
 
     /**
-     * Get level by identifier
+     * Get level by iid or identifier
      */
     getLevel(identifier) {
-        if (!this.data || !this.data.levels) {
+        if (!this.data) {
             return null;
         }
         
-        return this.data.levels.find(level => level.identifier === identifier);
+        const levels = Utils.getProjectLevels(this.data);
+        return levels.find(level => level.iid === identifier) ||
+            levels.find(level => level.identifier === identifier);
+    }
+
+    /**
+     * Get world by iid or identifier, or the first world when none is given
+     */
+    getWorld(identifier = null) {
+        if (!this.data) {
+            return null;
+        }
+        
+        const worlds = Utils.getProjectWorlds(this.data);
+        if (!identifier) {
+            return worlds[0] || null;
+        }
+        
+        return worlds.find(world => world.iid === identifier) ||
+            worlds.find(world => world.identifier === identifier) || null;
+    }
+
+    /**
+     * Get the pixel position of every level of a world, keyed by level iid.
+     * Linear layouts leave worldX/worldY at -1, so their levels are placed
+     * end to end in level order.
+     */
+    getLevelWorldPositions(world) {
+        const positions = new Map();
+        let offset = 0;
+        
+        for (const level of world.levels || []) {
+            if (world.worldLayout === 'LinearHorizontal') {
+                positions.set(level.iid, [offset, 0]);
+                offset += level.pxWid;
+            } else if (world.worldLayout === 'LinearVertical') {
+                positions.set(level.iid, [0, offset]);
+                offset += level.pxHei;
+            } else {
+                // Free and GridVania
+                positions.set(level.iid, [level.worldX, level.worldY]);
+            }
+        }
+        
+        return positions;
+    }
+
+    /**
+     * Resolve the LDtk neighbours of a level with each neighbour's identifier,
+     * world position and size, so shared borders can be computed
+     */
+    getLevelNeighbours(level, positions) {
+        return (level.__neighbours || []).map(neighbour => {
+            const target = this.getLevel(neighbour.levelIid);
+            
+            return {
+                levelIid: neighbour.levelIid,
+                dir: neighbour.dir,
+                identifier: target ? target.identifier : null,
+                worldPosition: target ? positions.get(target.iid) || [target.worldX, target.worldY] : null,
+                pxWid: target ? target.pxWid : 0,
+                pxHei: target ? target.pxHei : 0
+            };
+        });
+    }
+
+    /**
+     * Get the world containing a level
+     */
+    getLevelWorld(level) {
+        return Utils.getProjectWorlds(this.data).find(world => (world.levels || []).includes(level)) || null;
+    }
+
+    /**
+     * Check whether a layer instance carries tiles
+     */
+    isTileLayer(layer) {
+        return this.tileLayerTypes.includes(layer.__type) &&
+            layer.__tilesetDefUid !== null && layer.__tilesetDefUid !== undefined;
     }
 
     /**
@@ -70,23 +194,157 @@ class LDtkParser {
             return [];
         }
         
-        // Filter for the specific layers we're interested in
-        const targetLayers = ['Collisions_baked', 'Wall_shadows_baked', 'Bg_textures_baked'];
+        // LDtk lists layers top-most first, so depth 0 is the bottom layer
+        const layerCount = level.layerInstances.length;
         
         return level.layerInstances
-            .filter(layer => targetLayers.includes(layer.__identifier))
-            .map(layer => ({
+            .map((layer, index) => ({ layer, depth: layerCount - 1 - index }))
+            .filter(({ layer }) => this.isTileLayer(layer))
+            .map(({ layer, depth }) => ({
                 identifier: layer.__identifier,
                 type: layer.__type,
+                depth: depth,
                 gridSize: layer.__gridSize,
                 opacity: layer.__opacity,
                 tilesetDefUid: layer.__tilesetDefUid,
                 gridTiles: layer.gridTiles || [],
                 autoLayerTiles: layer.autoLayerTiles || [],
+                offset: this.getLayerOffset(layer),
+                parallax: this.getLayerParallax(layer.layerDefUid),
+                visible: layer.visible !== false
+            }));
+    }
+
+    /**
+     * Extract IntGrid layers from a level
+     */
+    getIntGridLayers(levelIdentifier) {
+        const level = this.getLevel(levelIdentifier);
+        if (!level || !level.layerInstances) {
+            return [];
+        }
+        
+        const layerCount = level.layerInstances.length;
+        
+        return level.layerInstances
+            .map((layer, index) => ({ layer, depth: layerCount - 1 - index }))
+            .filter(({ layer }) => layer.__type === 'IntGrid')
+            .map(({ layer, depth }) => ({
+                identifier: layer.__identifier,
+                type: layer.__type,
+                depth: depth,
+                gridSize: layer.__gridSize,
+                cWid: layer.__cWid,
+                cHei: layer.__cHei,
+                layerDefUid: layer.layerDefUid,
+                intGridCsv: layer.intGridCsv || [],
+                offset: this.getLayerOffset(layer),
+                visible: layer.visible !== false
+            }));
+    }
+
+    /**
+     * Extract entity layers from a level
+     */
+    getEntityLayers(levelIdentifier) {
+        const level = this.getLevel(levelIdentifier);
+        if (!level || !level.layerInstances) {
+            return [];
+        }
+        
+        const layerCount = level.layerInstances.length;
+        
+        return level.layerInstances
+            .map((layer, index) => ({ layer, depth: layerCount - 1 - index }))
+            .filter(({ layer }) => layer.__type === 'Entities')
+            .map(({ layer, depth }) => ({
+                identifier: layer.__identifier,
+                iid: layer.iid,
+                type: layer.__type,
+                depth: depth,
+                gridSize: layer.__gridSize,
+                entityInstances: layer.entityInstances || [],
+                offset: this.getLayerOffset(layer),
                 visible: layer.visible !== false
             }));
     }
 
+    /**
+     * Process entity instances for conversion
+     */
+    processEntities(entityInstances) {
+        return entityInstances.map(entity => ({
+            identifier: entity.__identifier,
+            iid: entity.iid,
+            // Pivot position in pixels, relative to the level
+            px: entity.px,
+            // Pivot as a fraction of the entity size (LDtk default is bottom-center)
+            pivot: entity.__pivot || [0, 0],
+            width: entity.width || 0,
+            height: entity.height || 0,
+            fields: entity.fieldInstances || []
+        }));
+    }
+
+    /**
+     * Get a layer definition by UID
+     */
+    getLayerDef(layerDefUid) {
+        if (!this.data || !this.data.defs || !this.data.defs.layers) {
+            return null;
+        }
+        
+        return this.data.defs.layers.find(def => def.uid === layerDefUid) || null;
+    }
+
+    /**
+     * Get the total pixel offset of a layer instance (definition + instance offsets)
+     */
+    getLayerOffset(layer) {
+        return [layer.__pxTotalOffsetX || 0, layer.__pxTotalOffsetY || 0];
+    }
+
+    /**
+     * Get the parallax factors of a layer definition (0 means no parallax)
+     */
+    getLayerParallax(layerDefUid) {
+        const layerDef = this.getLayerDef(layerDefUid);
+        
+        if (!layerDef) {
+            return [0, 0];
+        }
+        
+        return [layerDef.parallaxFactorX || 0, layerDef.parallaxFactorY || 0];
+    }
+
+    /**
+     * Get IntGrid value definitions for a layer definition
+     */
+    getIntGridValueDefs(layerDefUid) {
+        const layerDef = this.getLayerDef(layerDefUid);
+        return layerDef && layerDef.intGridValues ? layerDef.intGridValues : [];
+    }
+
+    /**
+     * Process IntGrid CSV into non-empty cells
+     */
+    processIntGridCells(intGridLayer) {
+        const cells = [];
+        
+        intGridLayer.intGridCsv.forEach((value, index) => {
+            if (value === 0) {
+                return;
+            }
+            
+            cells.push({
+                gridPos: [index % intGridLayer.cWid, Math.floor(index / intGridLayer.cWid)],
+                value: value
+            });
+        });
+        
+        return cells;
+    }
+
     /**
      * Get tileset definitions
      */
@@ -102,6 +360,8 @@ class LDtkParser {
             pxWid: tileset.pxWid,
             pxHei: tileset.pxHei,
             tileGridSize: tileset.tileGridSize,
+            spacing: tileset.spacing || 0,
+            padding: tileset.padding || 0,
             __cWid: tileset.__cWid,
             __cHei: tileset.__cHei
         }));
@@ -116,14 +376,23 @@ class LDtkParser {
     }
 
     /**
-     * Process grid tiles for conversion
+     * Get the project's default grid size
+     */
+    getDefaultGridSize() {
+        return (this.data && this.data.defaultGridSize) || 16;
+    }
+
+    /**
+     * Process grid tiles for conversion.
+     * cellSize is the Godot cell size the grid positions are expressed in.
      */
-    processGridTiles(gridTiles, tilesetUid) {
+    processGridTiles(gridTiles, tilesetUid, cellSize = this.getDefaultGridSize()) {
         if (!gridTiles || gridTiles.length === 0) {
             return [];
         }
         
         const processedTiles = [];
+        let unalignedCount = 0;
         
         for (const tile of gridTiles) {
             // Validate tile structure
@@ -140,7 +409,7 @@ class LDtkParser {
                 // Flip flags (0=none, 1=flipH, 2=flipV, 3=both)
                 f: tile.f,
                 // Grid position (calculated)
-                gridPos: Utils.pixelToGrid(tile.px),
+                gridPos: Utils.pixelToGrid(tile.px, cellSize),
                 // Flip flags parsed
                 flipFlags: Utils.extractFlipFlags(tile.f),
                 // Tile ID in tileset (if available)
@@ -151,10 +420,18 @@ class LDtkParser {
                 a: tile.a || 1
             };
             
+            if (tile.px[0] % cellSize !== 0 || tile.px[1] % cellSize !== 0) {
+                unalignedCount++;
+            }
+            
             processedTiles.push(processedTile);
         }
         
-        // Sort tiles by position for consistent output
+        if (unalignedCount > 0) {
+            Utils.log(`${unalignedCount} tiles are not aligned to the ${cellSize}px cell grid and were snapped`, 'warning');
+        }
+        
+        // Sort tiles by position for consistent output (stable, so stacked tiles keep their display order)
         processedTiles.sort((a, b) => {
             if (a.gridPos[1] !== b.gridPos[1]) {
                 return a.gridPos[1] - b.gridPos[1]; // Sort by Y first
@@ -165,6 +442,37 @@ class LDtkParser {
         return processedTiles;
     }
 
+    /**
+     * Collect every tile of a layer: hand-placed gridTiles and auto-rule output.
+     * LDtk fills one or the other depending on the layer type.
+     */
+    getLayerTiles(layer) {
+        return [...(layer.gridTiles || []), ...(layer.autoLayerTiles || [])];
+    }
+
+    /**
+     * Split tiles into stacks holding at most one tile per cell.
+     * LDtk lists tiles in display order, so the n-th tile of a cell
+     * (bottom to top) goes to the n-th stack.
+     */
+    splitStackedTiles(tiles) {
+        const stacks = [];
+        const cellCounts = new Map();
+        
+        for (const tile of tiles) {
+            const key = `${tile.gridPos[0]},${tile.gridPos[1]}`;
+            const stackIndex = cellCounts.get(key) || 0;
+            cellCounts.set(key, stackIndex + 1);
+            
+            if (!stacks[stackIndex]) {
+                stacks[stackIndex] = [];
+            }
+            stacks[stackIndex].push(tile);
+        }
+        
+        return stacks;
+    }
+
     /**
      * Convert LDtk level to conversion data structure
      */
@@ -176,34 +484,43 @@ class LDtkParser {
         
         const tileLayers = this.getTileLayers(levelIdentifier);
         const tilesets = this.getTilesets();
+        this.tilesetMapper.loadTilesets(tilesets, options.tilesetMapping);
         
-        // Filter layers based on options
-        const filteredLayers = tileLayers.filter(layer => {
-            switch (layer.identifier) {
-                case 'Collisions_baked':
-                    return options.includeCollisions !== false;
-                case 'Wall_shadows_baked':
-                    return options.includeShadows !== false;
-                case 'Bg_textures_baked':
-                    return options.includeBackground !== false;
-                default:
-                    return false;
-            }
-        });
+        // Filter layers based on options (layers are included unless disabled)
+        const enabledLayers = options.layers || {};
+        const filteredLayers = tileLayers.filter(layer => enabledLayers[layer.identifier] !== false);
+        
+        const world = this.getLevelWorld(level);
+        const levelSummary = this.summarizeLevel(level, world);
+        const positions = world ? this.getLevelWorldPositions(world) : new Map();
+        const gridSize = this.getDefaultGridSize();
         
         const conversionData = {
             level: {
                 identifier: level.identifier,
                 iid: level.iid,
                 uid: level.uid,
+                worldIdentifier: levelSummary.worldIdentifier,
+                worldIid: levelSummary.worldIid,
                 worldX: level.worldX,
                 worldY: level.worldY,
+                // Position in the world, also for linear layouts
+                worldPosition: positions.get(level.iid) || [level.worldX, level.worldY],
                 pxWid: level.pxWid,
                 pxHei: level.pxHei,
-                gridWid: Math.ceil(level.pxWid / 16),
-                gridHei: Math.ceil(level.pxHei / 16)
+                gridWid: Math.ceil(level.pxWid / gridSize),
+                gridHei: Math.ceil(level.pxHei / gridSize),
+                gridSize: gridSize,
+                fields: level.fieldInstances || [],
+                bgColor: level.__bgColor || null,
+                bgRelPath: level.bgRelPath || null,
+                // Computed by LDtk: top-left position (pivot applied), scale and crop rect
+                bgPos: level.__bgPos || null,
+                neighbours: this.getLevelNeighbours(level, positions)
             },
             layers: [],
+            intGridLayers: [],
+            entityLayers: [],
             tilesets: tilesets
         };
         
@@ -223,27 +540,124 @@ class LDtkParser {
                 continue;
             }
             
-            const processedTiles = this.processGridTiles(layer.gridTiles, layer.tilesetDefUid);
+            // Godot cells follow the layer grid; the TileSet keeps the tileset's
+            // tile size as its texture region size
+            const cellSize = layer.gridSize;
+            if (cellSize !== tileset.tileGridSize) {
+                const tilesetPath = this.tilesetMapper.getTilesetResourcePath(tileset.identifier, cellSize);
+                Utils.log(`Layer ${layer.identifier} grid (${cellSize}px) differs from tileset ${tileset.identifier} tile size (${tileset.tileGridSize}px); using ${tilesetPath}`, 'warning');
+            }
+            
+            const processedTiles = this.processGridTiles(this.getLayerTiles(layer), layer.tilesetDefUid, cellSize);
+            const config = this.tilesetMapper.getLayerConfig(layer.identifier, {
+                zIndex: layer.depth,
+                opacity: layer.opacity
+            });
+            
+            // A Godot TileMap layer holds one tile per cell, so stacked tiles
+            // go to extra layers (<Layer>_2, ...) drawn above with the same z-order
+            const stacks = this.splitStackedTiles(processedTiles);
+            if (stacks.length > 1) {
+                Utils.log(`Layer ${layer.identifier} has stacked tiles; split into ${stacks.length} layers`, 'warning');
+            }
             
-            const layerData = {
+            stacks.forEach((tiles, index) => {
+                const suffix = index === 0 ? '' : `_${index + 1}`;
+                
+                conversionData.layers.push({
+                    identifier: `${layer.identifier}${suffix}`,
+                    sourceIdentifier: layer.identifier,
+                    // LDtk layer order (0 = bottom), with stacked layers above their base layer
+                    depth: layer.depth,
+                    stackIndex: index,
+                    type: layer.type,
+                    gridSize: layer.gridSize,
+                    cellSize: cellSize,
+                    offset: layer.offset,
+                    parallax: layer.parallax,
+                    opacity: layer.opacity,
+                    visible: layer.visible,
+                    tileset: tileset,
+                    tiles: tiles,
+                    tileCount: tiles.length,
+                    config: { ...config, name: `${config.name}${suffix}` }
+                });
+            });
+        }
+        
+        // Process IntGrid layers into collision/custom data cells
+        const intGridLayers = this.getIntGridLayers(levelIdentifier)
+            .filter(layer => enabledLayers[layer.identifier] !== false);
+        
+        for (const layer of intGridLayers) {
+            const cells = this.processIntGridCells(layer);
+            if (cells.length === 0) {
+                continue;
+            }
+            
+            const valueTable = this.intGridMapper.buildValueTable(
+                this.getIntGridValueDefs(layer.layerDefUid),
+                options.intGridValueTable
+            );
+            
+            conversionData.intGridLayers.push({
                 identifier: layer.identifier,
-                type: layer.type,
                 gridSize: layer.gridSize,
-                opacity: layer.opacity,
-                visible: layer.visible,
-                tileset: tileset,
-                tiles: processedTiles,
-                tileCount: processedTiles.length,
-                config: this.tilesetMapper.getLayerConfig(layer.identifier)
-            };
+                offset: layer.offset,
+                cells: cells,
+                cellCount: cells.length,
+                valueTable: valueTable,
+                config: this.tilesetMapper.getLayerConfig(layer.identifier, { zIndex: layer.depth })
+            });
+        }
+        
+        // Process entity layers
+        const entityLayers = this.getEntityLayers(levelIdentifier)
+            .filter(layer => enabledLayers[layer.identifier] !== false);
+        
+        for (const layer of entityLayers) {
+            const entities = this.processEntities(layer.entityInstances);
             
-            conversionData.layers.push(layerData);
+            conversionData.entityLayers.push({
+                identifier: layer.identifier,
+                iid: layer.iid,
+                gridSize: layer.gridSize,
+                offset: layer.offset,
+                entities: entities,
+                entityCount: entities.length,
+                config: this.tilesetMapper.getLayerConfig(layer.identifier, { zIndex: layer.depth })
+            });
         }
         
-        Utils.log(`Converted level ${levelIdentifier} with ${conversionData.layers.length} layers`);
+        Utils.log(`Converted level ${level.identifier} with ${conversionData.layers.length} layers, ${conversionData.intGridLayers.length} IntGrid layers and ${conversionData.entityLayers.length} entity layers`);
         return conversionData;
     }
 
+    /**
+     * Convert every level of a world
+     */
+    convertWorld(worldIdentifier = null, options = {}) {
+        const world = this.getWorld(worldIdentifier);
+        if (!world) {
+            throw new Error(`World not found: ${worldIdentifier}`);
+        }
+        
+        const levels = (world.levels || []).map(level => this.convertLevel(level.iid, options));
+        
+        Utils.log(`Converted world ${world.identifier} with ${levels.length} levels`);
+        
+        return {
+            world: {
+                identifier: world.identifier,
+                iid: world.iid,
+                worldLayout: world.worldLayout,
+                implicit: !!world.implicit
+            },
+            levels: levels,
+            tilesets: this.getTilesets()
+        };
+    }
+
     /**
      * Get level statistics
      */
@@ -259,21 +673,39 @@ class LDtkParser {
         const layerStats = {};
         
         for (const layer of tileLayers) {
-            const tileCount = layer.gridTiles ? layer.gridTiles.length : 0;
+            const tileCount = this.getLayerTiles(layer).length;
             totalTiles += tileCount;
             layerStats[layer.identifier] = {
+                type: layer.type,
                 tileCount,
                 opacity: layer.opacity,
                 visible: layer.visible
             };
         }
         
+        for (const layer of this.getIntGridLayers(levelIdentifier)) {
+            const cellCount = layer.intGridCsv.filter(value => value !== 0).length;
+            layerStats[layer.identifier] = {
+                ...(layerStats[layer.identifier] || { tileCount: 0, type: layer.type, visible: layer.visible }),
+                intGridCells: cellCount
+            };
+        }
+        
+        for (const layer of this.getEntityLayers(levelIdentifier)) {
+            layerStats[layer.identifier] = {
+                type: layer.type,
+                tileCount: 0,
+                entityCount: layer.entityInstances.length,
+                visible: layer.visible
+            };
+        }
+        
         return {
             identifier: level.identifier,
             dimensions: `${level.pxWid}x${level.pxHei}px`,
-            gridDimensions: `${Math.ceil(level.pxWid / 16)}x${Math.ceil(level.pxHei / 16)}`,
+            gridDimensions: `${Math.ceil(level.pxWid / this.getDefaultGridSize())}x${Math.ceil(level.pxHei / this.getDefaultGridSize())}`,
             totalTiles,
-            layerCount: tileLayers.length,
+            layerCount: Object.keys(layerStats).length,
             layers: layerStats
         };
     }
@@ -6,11 +6,13 @@ class LDtkTSCNConverter {
     constructor() {
         this.parser = new LDtkParser();
         this.generator = new TSCNGenerator();
+        this.tileSetGenerator = new TileSetGenerator();
         this.fileHandler = new FileHandler();
         this.ui = new UIManager();
         
         this.currentFile = null;
         this.currentData = null;
+        this.knownUIDs = {};
         
         this.initialize();
     }
@@ -27,18 +29,21 @@ class LDtkTSCNConverter {
         // Clear old backups on startup
         this.fileHandler.clearOldBackups();
         
+        // Restore the saved tileset mapping
+        this.ui.setTilesetMapping(this.fileHandler.loadTilesetMapping());
+        
         Utils.log('Application initialized successfully');
     }
 
     /**
-     * Load and process LDtk file
+     * Load and process an LDtk project, with its external level files if any
      */
-    async loadFile(file) {
+    async loadFiles(files) {
         try {
-            this.ui.showProgress('Loading file...');
+            this.ui.showProgress('Loading files...');
             
-            // Load file content
-            const content = await this.fileHandler.loadFile(file);
+            // Load project and level file contents
+            const { projectFile, content, levelFiles } = await this.fileHandler.loadProjectFiles(files);
             this.ui.updateProgress(25, 'Validating file...');
             
             // Validate LDtk content
@@ -49,9 +54,17 @@ class LDtkTSCNConverter {
             
             this.ui.updateProgress(50, 'Parsing LDtk data...');
             
-            // Parse LDtk data
-            this.currentData = this.parser.parseFile(content);
-            this.currentFile = file;
+            // Merge external levels and parse LDtk data
+            const projectData = this.fileHandler.mergeExternalLevels(validation.data, levelFiles);
+            
+            // Check compatibility before accepting the project
+            const compatibility = this.fileHandler.checkCompatibility(projectData);
+            if (!compatibility.compatible) {
+                throw new Error(compatibility.issues.join('; '));
+            }
+            
+            this.currentData = this.parser.loadData(projectData);
+            this.currentFile = projectFile;
             
             this.ui.updateProgress(75, 'Extracting levels...');
             
@@ -63,21 +76,20 @@ class LDtkTSCNConverter {
             // Update UI
             setTimeout(() => {
                 this.ui.hideProgress();
-                this.ui.onFileLoaded(levels);
+                this.ui.onFileLoaded(levels, this.parser.getWorlds());
             }, 500);
             
             // Create backup
-            this.fileHandler.createBackup(file.name, content);
+            this.fileHandler.createBackup(projectFile.name, content);
             
-            // Check compatibility and show warnings
-            const compatibility = this.fileHandler.checkCompatibility(this.currentData);
+            // Show compatibility warnings
             if (compatibility.warnings.length > 0) {
                 compatibility.warnings.forEach(warning => {
                     Utils.log(warning, 'warning');
                 });
             }
             
-            Utils.log(`Loaded ${levels.length} levels from ${file.name}`);
+            Utils.log(`Loaded ${levels.length} levels from ${projectFile.name} (${levelFiles.length} external level files)`);
             
         } catch (error) {
             this.ui.showError(error.message);
@@ -86,6 +98,56 @@ class LDtkTSCNConverter {
         }
     }
 
+    /**
+     * Load a tileset mapping JSON file into the options and persist it
+     */
+    async loadTilesetMappingFile(file) {
+        try {
+            const text = await this.fileHandler.readFileContent(file);
+            const parseResult = Utils.parseJSON(text);
+            if (!parseResult.success) {
+                throw new Error(`Invalid tileset mapping: ${parseResult.error}`);
+            }
+            
+            this.ui.setTilesetMapping(text);
+            this.fileHandler.saveTilesetMapping(text);
+            Utils.log(`Loaded tileset mapping from ${file.name}`);
+        } catch (error) {
+            this.ui.showError(error.message);
+        }
+    }
+
+    /**
+     * Read resource UIDs from existing Godot files (.tres, .tscn, .import)
+     * so converted files keep them
+     */
+    async loadUIDFiles(files) {
+        try {
+            const uidFiles = [];
+            for (const file of files) {
+                uidFiles.push({
+                    path: this.fileHandler.getFilePath(file),
+                    content: await this.fileHandler.readFileContent(file)
+                });
+            }
+            
+            this.knownUIDs = this.fileHandler.parseResourceUIDs(uidFiles);
+            const count = Object.keys(this.knownUIDs).length;
+            this.ui.setUIDStatus(`${count} UIDs loaded from ${files.length} files`);
+            Utils.log(`Loaded ${count} resource UIDs`);
+        } catch (error) {
+            this.knownUIDs = {};
+            this.ui.showError(error.message);
+        }
+    }
+
+    /**
+     * Persist the tileset mapping edited in the options
+     */
+    saveTilesetMapping(text) {
+        this.fileHandler.saveTilesetMapping(text);
+    }
+
     /**
      * Get level statistics
      */
@@ -101,6 +163,8 @@ class LDtkTSCNConverter {
      * Convert level to TSCN format
      */
     async convertLevel(levelIdentifier, options = {}) {
+        options = { ...options, knownUIDs: this.knownUIDs };
+        
         try {
             if (!this.currentData) {
                 throw new Error('No LDtk file loaded');
@@ -130,15 +194,128 @@ class LDtkTSCNConverter {
             // Generate preview information
             const preview = this.generator.generatePreview(conversionData);
             
+            // Generate optional companion files
+            const extraFiles = [];
+            if (options.generateTileSets) {
+                extraFiles.push(...this.tileSetGenerator.generateTileSetFiles(conversionData, options));
+            }
+            if (options.levelResource) {
+                const level = conversionData.level;
+                extraFiles.push({
+                    filename: this.generator.generateFilename(level.identifier, level.worldIdentifier, '.tres'),
+                    content: this.generator.generateLevelResource(conversionData, options)
+                });
+            }
+            
             this.ui.updateProgress(100, 'Conversion completed!');
             
             // Show results
             setTimeout(() => {
                 this.ui.hideProgress();
-                this.ui.showResults(preview, tscnContent);
+                this.ui.showResults(preview, tscnContent, extraFiles);
+            }, 500);
+            
+            Utils.log(`Successfully converted level: ${conversionData.level.identifier}`);
+            
+        } catch (error) {
+            this.ui.showError(error.message);
+        }
+    }
+
+    /**
+     * Convert every level of a world into one TSCN scene, or with the 'index'
+     * world mode into level scenes, an index scene instancing them and a manifest
+     */
+    async convertWorld(worldIdentifier, options = {}) {
+        options = { ...options, knownUIDs: this.knownUIDs };
+        
+        try {
+            if (!this.currentData) {
+                throw new Error('No LDtk file loaded');
+            }
+
+            this.ui.showProgress('Converting world...');
+            
+            this.ui.updateProgress(20, 'Processing levels...');
+            const worldData = this.parser.convertWorld(worldIdentifier, options);
+            
+            this.ui.updateProgress(40, 'Validating conversion data...');
+            
+            for (const conversionData of worldData.levels) {
+                const validation = this.generator.validateConversionData(conversionData);
+                if (!validation.isValid && this.generator.hasContent(conversionData)) {
+                    throw new Error(`Conversion validation failed for ${conversionData.level.identifier}: ${validation.errors.join(', ')}`);
+                }
+            }
+            
+            this.ui.updateProgress(60, 'Generating TSCN content...');
+            const extraFiles = [];
+            let tscnContent;
+            let preview;
+            
+            if (options.worldMode === 'index') {
+                let unresolvedReferences = 0;
+                
+                // Level scenes are instanced at their world position
+                options = { ...options, worldOffset: true };
+                
+                for (const conversionData of worldData.levels) {
+                    if (!this.generator.hasContent(conversionData)) {
+                        continue;
+                    }
+                    
+                    const level = conversionData.level;
+                    extraFiles.push({
+                        filename: this.generator.getLevelSceneFilename(level, options),
+                        content: this.generator.generateTSCN(conversionData, options)
+                    });
+                    unresolvedReferences += this.generator.unresolvedReferences.length;
+                }
+                
+                tscnContent = this.generator.generateWorldIndexTSCN(worldData, options);
+                extraFiles.push({
+                    filename: this.generator.generateFilename(worldData.world.identifier, null, '.json'),
+                    content: this.generator.generateWorldManifest(worldData, options)
+                });
+                
+                preview = this.generator.generateWorldPreview(worldData);
+                preview.unresolvedReferences = unresolvedReferences;
+            } else {
+                tscnContent = this.generator.generateWorldTSCN(worldData, options);
+                preview = this.generator.generateWorldPreview(worldData);
+            }
+            
+            this.ui.updateProgress(80, 'Creating companion files...');
+            
+            if (options.levelResource) {
+                for (const conversionData of worldData.levels) {
+                    const level = conversionData.level;
+                    extraFiles.push({
+                        filename: this.generator.generateFilename(level.identifier, level.worldIdentifier, '.tres'),
+                        content: this.generator.generateLevelResource(conversionData, options)
+                    });
+                }
+            }
+            
+            // Tilesets shared by several levels are only generated once
+            if (options.generateTileSets) {
+                const tileSetFiles = new Map();
+                for (const conversionData of worldData.levels) {
+                    for (const file of this.tileSetGenerator.generateTileSetFiles(conversionData, options)) {
+                        tileSetFiles.set(file.filename, file);
+                    }
+                }
+                extraFiles.push(...tileSetFiles.values());
+            }
+            
+            this.ui.updateProgress(100, 'Conversion completed!');
+            
+            setTimeout(() => {
+                this.ui.hideProgress();
+                this.ui.showResults(preview, tscnContent, extraFiles);
             }, 500);
             
-            Utils.log(`Successfully converted level: ${levelIdentifier}`);
+            Utils.log(`Successfully converted world: ${worldData.world.identifier}`);
             
         } catch (error) {
             this.ui.showError(error.message);
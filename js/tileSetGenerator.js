@@ -0,0 +1,120 @@
+/**
+ * TileSet resource (.tres) generator for LDtk tileset definitions
+ */
+
+class TileSetGenerator {
+    constructor() {
+        this.tilesetMapper = new TilesetMapper();
+    }
+
+    /**
+     * Generate a TileSet .tres with one TileSetAtlasSource holding every
+     * tile of the LDtk tileset (source 0 unless mapped otherwise).
+     * The TileSet tile size is the layer grid (cellSize) and the region
+     * size the tileset's tile size; when they differ, tiles get a texture
+     * origin keeping their top-left corner on the cell's top-left corner.
+     * In 'alternatives' flip mode each tile also gets flipped alternatives.
+     */
+    generateTileSet(tileset, options = {}, cellSize = tileset.tileGridSize) {
+        const tileSize = tileset.tileGridSize;
+        const origin = (cellSize - tileSize) / 2;
+        const padding = tileset.padding || 0;
+        const spacing = tileset.spacing || 0;
+        const [columns, rows] = this.getGridDimensions(tileset);
+        const texturePath = this.tilesetMapper.getTextureResourcePath(tileset.identifier);
+        const tilesetPath = this.tilesetMapper.getTilesetResourcePath(tileset.identifier, cellSize);
+        const alternatives = options.flipMode === 'alternatives' ? this.tilesetMapper.getFlipAlternatives() : [];
+
+        const lines = [
+            `[gd_resource type="TileSet" load_steps=3 format=3 uid="${Utils.getResourceUID(options, tilesetPath)}"]`,
+            '',
+            `[ext_resource type="Texture2D" uid="${Utils.getResourceUID(options, texturePath)}" path="${texturePath}" id="1_texture"]`,
+            '',
+            '[sub_resource type="TileSetAtlasSource" id="TileSetAtlasSource_1"]',
+            'texture = ExtResource("1_texture")'
+        ];
+
+        if (padding > 0) {
+            lines.push(`margins = Vector2i(${padding}, ${padding})`);
+        }
+
+        if (spacing > 0) {
+            lines.push(`separation = Vector2i(${spacing}, ${spacing})`);
+        }
+
+        lines.push(`texture_region_size = Vector2i(${tileSize}, ${tileSize})`);
+
+        for (let y = 0; y < rows; y++) {
+            for (let x = 0; x < columns; x++) {
+                lines.push(`${x}:${y}/0 = 0`);
+                if (origin !== 0) lines.push(`${x}:${y}/0/texture_origin = Vector2i(${origin}, ${origin})`);
+
+                for (const alternative of alternatives) {
+                    lines.push(`${x}:${y}/${alternative.id} = ${alternative.id}`);
+                    if (alternative.flipH) lines.push(`${x}:${y}/${alternative.id}/flip_h = true`);
+                    if (alternative.flipV) lines.push(`${x}:${y}/${alternative.id}/flip_v = true`);
+                    if (origin !== 0) lines.push(`${x}:${y}/${alternative.id}/texture_origin = Vector2i(${origin}, ${origin})`);
+                }
+            }
+        }
+
+        lines.push('');
+        lines.push('[resource]');
+        lines.push(`tile_size = Vector2i(${cellSize}, ${cellSize})`);
+        lines.push(`sources/${this.tilesetMapper.getSourceId(tileset.identifier)} = SubResource("TileSetAtlasSource_1")`);
+
+        return lines.join('\n') + '\n';
+    }
+
+    /**
+     * Get the tileset size in tiles, computed from the texture size when
+     * LDtk's __cWid/__cHei are missing
+     */
+    getGridDimensions(tileset) {
+        if (tileset.__cWid && tileset.__cHei) {
+            return [tileset.__cWid, tileset.__cHei];
+        }
+
+        const padding = tileset.padding || 0;
+        const spacing = tileset.spacing || 0;
+        const step = tileset.tileGridSize + spacing;
+
+        return [
+            Math.floor((tileset.pxWid - 2 * padding + spacing) / step),
+            Math.floor((tileset.pxHei - 2 * padding + spacing) / step)
+        ];
+    }
+
+    /**
+     * Generate TileSet files for the tilesets used by the converted tile layers.
+     * Filenames are the TileSet paths the scene refers to, relative to res://
+     */
+    generateTileSetFiles(conversionData, options = {}) {
+        const files = [];
+        this.tilesetMapper.loadTilesets(conversionData.tilesets || [], options.tilesetMapping);
+        const processedTilesets = new Set();
+
+        // One TileSet per tileset and layer grid, as tile_size follows the grid
+        for (const layer of conversionData.layers) {
+            const tileset = layer.tileset;
+            const cellSize = layer.cellSize || tileset.tileGridSize;
+            const tilesetPath = this.tilesetMapper.getTilesetResourcePath(tileset.identifier, cellSize);
+
+            if (processedTilesets.has(tilesetPath)) {
+                continue;
+            }
+
+            processedTilesets.add(tilesetPath);
+
+            files.push({
+                filename: tilesetPath.replace(/^res:\/\//, ''),
+                content: this.generateTileSet(tileset, options, cellSize)
+            });
+        }
+
+        return files;
+    }
+}
+
+// Export for use in other modules
+window.TileSetGenerator = TileSetGenerator;
@@ -4,12 +4,27 @@
 
 class TilesetMapper {
     constructor() {
-        // Initialize tileset mappings based on analysis of existing files
+        // Tileset definitions of the loaded project, keyed by identifier and UID
         this.tilesetMappings = new Map();
-        this.setupSunnyLandMapping();
+
+        // res:// paths and atlas source IDs per tileset identifier.
+        // Tilesets without an entry use their LDtk image path under res://
+        this.defaultResourceMapping = {
+            "SunnyLand_by_Ansimuz": {
+                texture: "res://Tiles/SunnyLand_by_Ansimuz-extended.png",
+                tileset: "res://Tiles/SunnyLandTileset.tres"
+            },
+            "ClassicAutoTiles": {
+                texture: "res://Tiles/ClassicAutoTiles.png",
+                tileset: "res://Tiles/ClassicAutoTiles.tres"
+            }
+        };
+        this.resourceMapping = { ...this.defaultResourceMapping };
 
         // Godot 4.x TileMap tile_data flag bits (3rd int, format=2):
-        // - Lower 16 bits: alternative ID (we use atlasY)
+        // - Lower 16 bits: atlasY
+        // - Upper 16 bits: alternative ID, whose bits 12-14 are the
+        //   TileSetAtlasSource transform flags (Godot 4.2+), hence:
         // - Bit 28: horizontal flip
         // - Bit 29: vertical flip
         // - Bit 30: transpose (rare; not emitted by LDtk)
@@ -18,26 +33,44 @@ class TilesetMapper {
         this.BIT_FLIP_H = 1 << 28;
         this.BIT_FLIP_V = 1 << 29;
         this.BIT_TRANSPOSE = 1 << 30;
+
+        // Godot 4 TileSetAtlasSource transform flags, part of the alternative ID
+        this.TRANSFORM_FLIP_H = 1 << 12;
+        this.TRANSFORM_FLIP_V = 1 << 13;
+        this.TRANSFORM_TRANSPOSE = 1 << 14;
     }
 
     /**
-     * Setup mapping for SunnyLand_by_Ansimuz tileset
-     * Based on the TestLevel_00_A.ldtk analysis
+     * Register the project's tileset definitions and an optional user mapping:
+     * { "<tileset identifier>": { "texture": "res://...", "tileset": "res://...", "sourceId": 0 } }
      */
-    setupSunnyLandMapping() {
-        // SunnyLand tileset configuration
-        const sunnyLandConfig = {
-            identifier: "SunnyLand_by_Ansimuz",
-            uid: 2,
-            tileGridSize: 16,
-            pxWid: 368,
-            pxHei: 336,
-            __cWid: 23,  // Column count: 368/16 = 23
-            __cHei: 21   // Row count: 336/16 = 21
-        };
+    loadTilesets(tilesets, userMapping = {}) {
+        this.tilesetMappings.clear();
+
+        for (const tileset of tilesets) {
+            this.tilesetMappings.set(tileset.identifier, tileset);
+            this.tilesetMappings.set(tileset.uid, tileset);
+        }
 
-        this.tilesetMappings.set("SunnyLand_by_Ansimuz", sunnyLandConfig);
-        this.tilesetMappings.set(2, sunnyLandConfig); // Map by UID as well
+        this.resourceMapping = { ...this.defaultResourceMapping };
+
+        for (const [identifier, entry] of Object.entries(userMapping || {})) {
+            this.resourceMapping[identifier] = { ...this.resourceMapping[identifier], ...entry };
+        }
+    }
+
+    /**
+     * Get the resource mapping entry of a tileset (empty when unmapped)
+     */
+    getResourceMapping(tilesetIdentifier) {
+        return this.resourceMapping[tilesetIdentifier] || {};
+    }
+
+    /**
+     * Get the TileSet atlas source ID of a tileset
+     */
+    getSourceId(tilesetIdentifier) {
+        return this.getResourceMapping(tilesetIdentifier).sourceId || 0;
     }
 
     /**
@@ -45,31 +78,47 @@ class TilesetMapper {
      * For Godot 4.3 TileMap (format=2), we keep using the convention already
      * present in the good sample TSCNs: source = atlasX * 65536, alt = atlasY.
      */
-    ldtkSourceToGodotSource(srcX, _srcY, tilesetUid) {
-        const tileset = this.tilesetMappings.get(tilesetUid) || this.tilesetMappings.get("SunnyLand_by_Ansimuz");
+    ldtkSourceToGodotSource(srcX, _srcY, tilesetUid, tileGridSize = null) {
+        const tileset = this.tilesetMappings.get(tilesetUid);
 
-        if (!tileset) {
+        if (!tileset && !tileGridSize) {
             Utils.log(`Unknown tileset UID: ${tilesetUid}`, 'warning');
             return 0;
         }
 
-        const tileGridSize = tileset.tileGridSize || 16;
+        tileGridSize = tileGridSize || tileset.tileGridSize;
         const atlasX = Math.floor(srcX / tileGridSize);
+        const sourceId = tileset ? this.getSourceId(tileset.identifier) : 0;
         // Godot-compatible source encoding used in existing converted files
-        return atlasX * 65536;
+        return atlasX * 65536 + sourceId;
     }
 
     // Legacy helper removed: we now map sources generically (atlasX*65536)
 
     // Removed bespoke SunnyLand atlas mapping; generic mapping is sufficient.
 
+    /**
+     * Convert LDtk source pixel coordinates to atlas coordinates,
+     * honoring the tileset's tile size, padding and spacing
+     */
+    getAtlasCoords(src, tileset) {
+        const tileGridSize = tileset.tileGridSize;
+        const padding = tileset.padding || 0;
+        const spacing = tileset.spacing || 0;
+
+        return [
+            Math.floor((src[0] - padding) / (tileGridSize + spacing)),
+            Math.floor((src[1] - padding) / (tileGridSize + spacing))
+        ];
+    }
+
     /**
      * Compute alternative integer for TileMap:
      * - Lower 16 bits store alternative index. In our atlas mapping, this is atlasY.
      * - High bits encode transforms, if any: flipH, flipV, transpose.
      */
-    getAlternativeTileId(flipFlags, _atlasX, atlasY) {
-        let alt = Math.max(0, atlasY) & this.ALT_MASK;
+    getAlternativeTileId(flipFlags, _atlasX, atlasY, alternative = 0) {
+        let alt = (Math.max(0, atlasY) & this.ALT_MASK) | (alternative << 16);
 
         if (flipFlags && flipFlags.flipH) alt |= this.BIT_FLIP_H;
         if (flipFlags && flipFlags.flipV) alt |= this.BIT_FLIP_V;
@@ -79,6 +128,59 @@ class TilesetMapper {
         return alt;
     }
 
+    /**
+     * Encode a cell as a native Godot 4 tile_data triplet (TileMap format=2):
+     * (y << 16 | x), (source_id | atlas_x << 16), (atlas_y | alternative << 16).
+     * Every field is 16 bits, so negative coordinates wrap as Godot expects;
+     * flips become transform flags of the alternative ID.
+     */
+    encodeGodot4TileData(gridX, gridY, sourceId, atlasX, atlasY, alternative, flipFlags) {
+        const alternativeId = this.applyTransformFlags(alternative, flipFlags);
+
+        return [
+            (gridY << 16) | (gridX & 0xffff),
+            (sourceId & 0xffff) | (atlasX << 16),
+            (atlasY & 0xffff) | (alternativeId << 16)
+        ];
+    }
+
+    /**
+     * Encode cells as TileMapLayer tile_map_data bytes: a uint16 format
+     * version (0), then 12 bytes per cell: int16 x, int16 y, uint16 source_id,
+     * atlas_x, atlas_y and alternative, all little-endian
+     */
+    encodeTileMapLayerData(cells) {
+        const bytes = new Uint8Array(2 + cells.length * 12);
+        const view = new DataView(bytes.buffer);
+
+        view.setUint16(0, 0, true);
+
+        cells.forEach((cell, index) => {
+            const offset = 2 + index * 12;
+            view.setInt16(offset, cell.x, true);
+            view.setInt16(offset + 2, cell.y, true);
+            view.setUint16(offset + 4, cell.sourceId, true);
+            view.setInt16(offset + 6, cell.atlasX, true);
+            view.setInt16(offset + 8, cell.atlasY, true);
+            view.setUint16(offset + 10, this.applyTransformFlags(cell.alternative, cell.flipFlags), true);
+        });
+
+        return bytes;
+    }
+
+    /**
+     * Add the TileSetAtlasSource transform flags of the flips to an alternative ID
+     */
+    applyTransformFlags(alternative, flipFlags) {
+        let alternativeId = alternative;
+
+        if (flipFlags && flipFlags.flipH) alternativeId |= this.TRANSFORM_FLIP_H;
+        if (flipFlags && flipFlags.flipV) alternativeId |= this.TRANSFORM_FLIP_V;
+        if (flipFlags && flipFlags.transpose) alternativeId |= this.TRANSFORM_TRANSPOSE;
+
+        return alternativeId;
+    }
+
     /**
      * Convert LDtk flip flags to Godot 4.3 tile transformations
      * Note: Godot 4.3 handles transformations differently than earlier versions
@@ -94,70 +196,63 @@ class TilesetMapper {
     }
 
     /**
-     * Handle tiles that need rotation but can't be rotated in Godot
-     * Try to find pre-rotated versions in the tileset or log warnings
+     * Resolve how a flipped tile is emitted:
+     * - 'transform': transform flags on alternative 0 (Godot 4.2+)
+     * - 'alternatives': an alternative tile of the generated TileSet
+     *   (1 = flip_h, 2 = flip_v, 3 = both), for TileSets made before 4.2
      */
-    handleRotatedTile(atlasX, atlasY, flipFlags) {
-        // Check if this tile has rotation/flip flags
-        if (flipFlags.flipH || flipFlags.flipV) {
-            // For corner tiles and certain special tiles, Godot might not support rotation
-            // We need to either:
-            // 1. Find a pre-rotated version in the tileset
-            // 2. Use the unrotated version and log a warning
-            
-            const rotationKey = `${atlasX}:${atlasY}:${flipFlags.flipH ? 'H' : ''}${flipFlags.flipV ? 'V' : ''}`;
-            
-            // Check if we have a mapping for rotated versions
-            const rotatedMappings = this.getRotatedTileMappings();
-            
-            if (rotatedMappings.has(rotationKey)) {
-                return rotatedMappings.get(rotationKey);
-            } else {
-                Utils.log(`Warning: Tile at atlas(${atlasX},${atlasY}) with flip flags (H:${flipFlags.flipH}, V:${flipFlags.flipV}) not encoded; using unrotated version.`, 'warning');
-                return { atlasX, atlasY, flipH: false, flipV: false };
-            }
+    resolveTileTransform(flipFlags, flipMode = 'transform') {
+        if (flipMode === 'alternatives') {
+            return {
+                alternative: (flipFlags.flipH ? 1 : 0) | (flipFlags.flipV ? 2 : 0),
+                flipFlags: { flipH: false, flipV: false }
+            };
         }
 
-        return { atlasX, atlasY, flipH: false, flipV: false };
+        return { alternative: 0, flipFlags: flipFlags };
     }
 
     /**
-     * Get mappings for tiles that have pre-rotated versions in the tileset
+     * Get the alternative tiles created per atlas tile in 'alternatives' mode
      */
-    getRotatedTileMappings() {
-        const rotatedMappings = new Map();
-        
-        // Based on analysis of the SunnyLand tileset, some tiles have pre-rotated versions
-        // This needs to be populated based on the specific tileset structure
-        
-        // For now, return empty map - tiles will use unrotated versions
-        // TODO: Analyze tileset to find pre-rotated tile variants
-        
-        return rotatedMappings;
+    getFlipAlternatives() {
+        return [
+            { id: 1, flipH: true, flipV: false },
+            { id: 2, flipH: false, flipV: true },
+            { id: 3, flipH: true, flipV: true }
+        ];
     }
 
     /**
      * Get tileset resource path for TSCN
      */
-    getTilesetResourcePath(tilesetIdentifier) {
-        const tilesetPaths = {
-            "SunnyLand_by_Ansimuz": "res://Tiles/SunnyLandTileset.tres",
-            "ClassicAutoTiles": "res://Tiles/ClassicAutoTiles.tres"
-        };
+    getTilesetResourcePath(tilesetIdentifier, cellSize = null) {
+        const mapping = this.getResourceMapping(tilesetIdentifier);
+        const tileset = this.tilesetMappings.get(tilesetIdentifier);
+        const path = mapping.tileset || `res://Tiles/${tilesetIdentifier}.tres`;
         
-        return tilesetPaths[tilesetIdentifier] || "res://Tiles/TilesDefault.tres";
+        // Layers on a grid other than the tile size need a TileSet with their tile_size
+        if (cellSize && tileset && cellSize !== tileset.tileGridSize) {
+            return `${path.replace(/\.tres$/, '')}_${cellSize}px.tres`;
+        }
+        
+        return path;
     }
 
     /**
      * Get texture resource path for tileset
      */
     getTextureResourcePath(tilesetIdentifier) {
-        const texturePaths = {
-            "SunnyLand_by_Ansimuz": "res://Tiles/SunnyLand_by_Ansimuz-extended.png",
-            "ClassicAutoTiles": "res://Tiles/ClassicAutoTiles.png"
-        };
+        const mapping = this.getResourceMapping(tilesetIdentifier);
+        const tileset = this.tilesetMappings.get(tilesetIdentifier);
         
-        return texturePaths[tilesetIdentifier] || "res://Tiles/Green.png";
+        if (mapping.texture) {
+            return mapping.texture;
+        }
+        
+        return tileset && tileset.relPath
+            ? Utils.relPathToResPath(tileset.relPath)
+            : `res://Tiles/${tilesetIdentifier}.png`;
     }
 
     /**
@@ -166,14 +261,15 @@ class TilesetMapper {
     generateGodotTileData(gridTiles, tilesetUid) {
         const tileData = [];
         
+        const tileset = this.tilesetMappings.get(tilesetUid);
+        const tileGridSize = tileset ? tileset.tileGridSize : 16;
+        
         for (const tile of gridTiles) {
-            const gridPos = Utils.pixelToGrid(tile.px);
+            const gridPos = Utils.pixelToGrid(tile.px, tileGridSize);
             const position = Utils.gridToGodotPosition(gridPos[0], gridPos[1]);
             const source = this.ldtkSourceToGodotSource(tile.src[0], tile.src[1], tilesetUid);
             
             // Calculate atlas coordinates for alternative ID
-            const tileset = this.tilesetMappings.get(tilesetUid) || this.tilesetMappings.get("SunnyLand_by_Ansimuz");
-            const tileGridSize = tileset ? tileset.tileGridSize : 16;
             const atlasX = Math.floor(tile.src[0] / tileGridSize);
             const atlasY = Math.floor(tile.src[1] / tileGridSize);
             
@@ -190,12 +286,18 @@ class TilesetMapper {
      * Validate tileset compatibility
      */
     validateTileset(tilesetData) {
-        const supportedTilesets = ["SunnyLand_by_Ansimuz"];
+        if (!tilesetData.tileGridSize || tilesetData.tileGridSize <= 0) {
+            return {
+                isValid: false,
+                message: `Tileset ${tilesetData.identifier} has no tile grid size`
+            };
+        }
         
-        if (!supportedTilesets.includes(tilesetData.identifier)) {
+        // Embedded atlases (e.g. LDtk's internal icons) have no image file to point at
+        if (!tilesetData.relPath && !this.getResourceMapping(tilesetData.identifier).texture) {
             return {
                 isValid: false,
-                message: `Unsupported tileset: ${tilesetData.identifier}. Supported tilesets: ${supportedTilesets.join(', ')}`
+                message: `Tileset ${tilesetData.identifier} has no image file; add a texture path to the tileset mapping`
             };
         }
         
@@ -203,9 +305,10 @@ class TilesetMapper {
     }
 
     /**
-     * Get layer configuration for different layer types
+     * Get layer configuration for different layer types.
+     * Layers without a preset fall back to their LDtk depth and opacity.
      */
-    getLayerConfig(layerIdentifier) {
+    getLayerConfig(layerIdentifier, defaults = {}) {
         const layerConfigs = {
             'Bg_textures_baked': {
                 name: 'Background',
@@ -224,10 +327,12 @@ class TilesetMapper {
             }
         };
         
+        const opacity = defaults.opacity !== undefined ? defaults.opacity : 1;
+        
         return layerConfigs[layerIdentifier] || {
             name: layerIdentifier,
-            zIndex: 0,
-            modulate: 'Color(1, 1, 1, 1)'
+            zIndex: defaults.zIndex || 0,
+            modulate: `Color(1, 1, 1, ${opacity})`
         };
     }
 }
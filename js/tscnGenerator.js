@@ -5,7 +5,32 @@
 class TSCNGenerator {
     constructor() {
         this.tilesetMapper = new TilesetMapper();
+        this.intGridMapper = new IntGridMapper();
         this.resourceCounter = 1;
+        this.extResources = [];
+        this.extResourceIds = new Map();
+        this.tilesetResourceIds = new Map();
+        this.subResources = [];
+        this.uidOptions = {};
+        this.entityNodePaths = new Map();
+        this.unresolvedReferences = [];
+        
+        // Path of the level node: the scene root, or a child of a world scene
+        this.levelPath = '.';
+
+        // Godot types of LDtk field types, used for typed arrays
+        this.fieldGodotTypes = {
+            Int: 'int',
+            Float: 'float',
+            Bool: 'bool',
+            String: 'String',
+            Multilines: 'String',
+            FilePath: 'String',
+            Enum: 'String',
+            Color: 'Color',
+            Point: 'Vector2',
+            Tile: 'Rect2'
+        };
     }
 
     /**
@@ -13,16 +38,15 @@ class TSCNGenerator {
      */
     generateTSCN(conversionData, options = {}) {
         const level = conversionData.level;
-        const layers = conversionData.layers;
         
-        if (!layers || layers.length === 0) {
+        if (!this.hasContent(conversionData)) {
             throw new Error('No layers to convert');
         }
         
         Utils.log(`Generating TSCN for level: ${level.identifier}`);
         
         // Build TSCN structure
-        const tscnContent = this.buildTSCNStructure(level, layers);
+        const tscnContent = this.buildTSCNStructure(conversionData, options);
         
         Utils.log('TSCN generation completed');
         return tscnContent;
@@ -31,55 +55,318 @@ class TSCNGenerator {
     /**
      * Build the complete TSCN file structure
      */
-    buildTSCNStructure(level, layers) {
-        const resources = [];
-        const nodes = [];
+    buildTSCNStructure(conversionData, options = {}) {
+        const level = conversionData.level;
+        
+        this.resetSceneState(options);
         
-        // Generate header
-        const header = this.generateHeader(layers);
+        // Entity node paths are known up front so EntityRef fields can point at any entity
+        this.entityNodePaths = this.collectEntityNodePaths(conversionData.entityLayers || []);
         
         // Generate external resources (tilesets, textures)
-        const externalResources = this.generateExternalResources(layers);
+        this.tilesetMapper.loadTilesets(conversionData.tilesets || [], options.tilesetMapping);
+        this.extResources = this.generateExternalResources(conversionData.layers);
+        
+        const nodes = [
+            this.generateRootNode(level),
+            ...this.generateLevelNodes(conversionData, options)
+        ];
+        
+        // Generate header once every resource is known; level scenes of a
+        // world index live below options.levelSceneRoot
+        const scenePath = options.worldOffset
+            ? this.getLevelScenePath(level, options)
+            : this.generateFilename(level.identifier, level.worldIdentifier);
+        const header = this.generateHeader(this.extResources.length + this.subResources.length, scenePath, `scene:${level.iid}`);
+        
+        return this.joinScene(header, nodes);
+    }
+
+    /**
+     * Generate a scene holding every level of a world, each level node placed
+     * at its world position. Resources are shared by all levels and EntityRef
+     * fields resolve across levels.
+     */
+    generateWorldTSCN(worldData, options = {}) {
+        const world = worldData.world;
+        
+        if (!this.hasWorldContent(worldData)) {
+            throw new Error('No layers to convert');
+        }
+        
+        Utils.log(`Generating world TSCN for: ${world.identifier}`);
+        
+        this.resetSceneState(options);
+        
+        // Level node names are unique siblings under the world root
+        const usedNames = new Set();
+        const levelNames = worldData.levels.map(data =>
+            this.uniqueNodeName(this.sanitizeNodeName(data.level.identifier), usedNames)
+        );
+        
+        this.entityNodePaths = new Map();
+        worldData.levels.forEach((data, index) => {
+            const levelPaths = this.collectEntityNodePaths(data.entityLayers || [], levelNames[index]);
+            levelPaths.forEach((nodePath, iid) => this.entityNodePaths.set(iid, nodePath));
+        });
+        
+        this.tilesetMapper.loadTilesets(worldData.tilesets || [], options.tilesetMapping);
+        this.extResources = this.generateExternalResources(worldData.levels.flatMap(data => data.layers));
+        
+        const nodes = [this.generateWorldRootNode(world)];
+        
+        worldData.levels.forEach((data, index) => {
+            this.levelPath = levelNames[index];
+            nodes.push(this.generateRootNode(data.level, data.level.worldPosition || [0, 0]));
+            nodes.push(...this.generateLevelNodes(data, options));
+        });
+        
+        this.levelPath = '.';
+        
+        const scenePath = this.generateFilename(world.identifier);
+        const header = this.generateHeader(this.extResources.length + this.subResources.length, scenePath, `world:${world.iid}`);
+        
+        Utils.log('World TSCN generation completed');
+        return this.joinScene(header, nodes);
+    }
+
+    /**
+     * Generate a world index scene instancing each level scene as a
+     * PackedScene at its world position. Levels without content have no
+     * scene and are left out.
+     */
+    generateWorldIndexTSCN(worldData, options = {}) {
+        const world = worldData.world;
+        
+        if (!this.hasWorldContent(worldData)) {
+            throw new Error('No layers to convert');
+        }
+        
+        Utils.log(`Generating world index TSCN for: ${world.identifier}`);
         
-        // Generate root node
-        const rootNode = this.generateRootNode(level);
-        nodes.push(rootNode);
+        this.resetSceneState(options);
+        
+        const nodes = [this.generateWorldRootNode(world)];
+        const usedNames = new Set();
+        
+        for (const data of worldData.levels) {
+            if (!this.hasContent(data)) {
+                continue;
+            }
+            
+            const level = data.level;
+            const position = level.worldPosition || [0, 0];
+            const nodeName = this.uniqueNodeName(this.sanitizeNodeName(level.identifier), usedNames);
+            
+            // Same UID seed as the level scene header, so the UIDs match in either mode
+            const sceneId = this.addExtResource('PackedScene', this.getLevelScenePath(level, options), 'scene', `scene:${level.iid}`);
+            
+            nodes.push([
+                `[node name="${nodeName}" parent="." instance=ExtResource("${sceneId}")]`,
+                `position = Vector2(${position[0]}, ${position[1]})`
+            ].join('\n'));
+        }
+        
+        const scenePath = this.generateFilename(world.identifier);
+        const header = this.generateHeader(this.extResources.length, scenePath, `world:${world.iid}`);
+        
+        return this.joinScene(header, nodes);
+    }
+
+    /**
+     * Generate a JSON manifest of the levels of a world: iid, scene path,
+     * bounds in world pixels and LDtk neighbours, for streaming loaders
+     */
+    generateWorldManifest(worldData, options = {}) {
+        const world = worldData.world;
+        
+        const manifest = {
+            world: {
+                identifier: world.identifier,
+                iid: world.iid || null,
+                layout: world.worldLayout || 'Free'
+            },
+            levels: worldData.levels.map(data => {
+                const level = data.level;
+                const position = level.worldPosition || [0, 0];
+                
+                return {
+                    identifier: level.identifier,
+                    iid: level.iid,
+                    scene: this.hasContent(data) ? this.getLevelScenePath(level, options) : null,
+                    bounds: {
+                        x: position[0],
+                        y: position[1],
+                        width: level.pxWid,
+                        height: level.pxHei
+                    },
+                    neighbours: this.getNeighbourRecords(level)
+                };
+            })
+        };
+        
+        return JSON.stringify(manifest, null, 2) + '\n';
+    }
+
+    /**
+     * Get the res:// path of a level scene, below options.levelSceneRoot
+     */
+    getLevelScenePath(level, options = {}) {
+        return `res://${this.getLevelSceneFilename(level, options)}`;
+    }
+
+    /**
+     * Get the project-relative file name of a level scene, below
+     * options.levelSceneRoot (where the scene is written or zipped)
+     */
+    getLevelSceneFilename(level, options = {}) {
+        const root = (options.levelSceneRoot || '').replace(/^(res:\/\/)?\/*/, '').replace(/([^/])$/, '$1/');
+        return `${root}${this.generateFilename(level.identifier, level.worldIdentifier)}`;
+    }
+
+    /**
+     * Generate the root node of a world scene
+     */
+    generateWorldRootNode(world) {
+        const nodeLines = [`[node name="${this.sanitizeNodeName(world.identifier)}" type="Node2D"]`];
+        
+        if (world.iid) {
+            nodeLines.push(`metadata/ldtk_iid = ${Utils.formatGodotValue(world.iid)}`);
+        }
+        
+        nodeLines.push(`metadata/ldtk_world_layout = ${Utils.formatGodotValue(world.worldLayout || 'Free')}`);
+        
+        return nodeLines.join('\n');
+    }
+
+    /**
+     * Reset the resources and references collected while generating a scene
+     */
+    resetSceneState(options) {
+        // Sub-resources and extra external resources are collected while generating nodes
+        this.extResources = [];
+        this.subResources = [];
+        this.resourceCounter = 1;
+        this.extResourceIds = new Map();
+        this.tilesetResourceIds = new Map();
+        this.uidOptions = options;
+        this.levelPath = '.';
+        this.unresolvedReferences = [];
+    }
+
+    /**
+     * Generate the nodes below a level node: background, tile layers,
+     * IntGrid collision and entities
+     */
+    generateLevelNodes(conversionData, options = {}) {
+        const level = conversionData.level;
+        const layers = conversionData.layers;
+        const nodes = [];
         
         // Generate background texture if needed
-        const backgroundNode = this.generateBackgroundNode(level);
+        const backgroundNode = this.generateBackgroundNode(level, options);
         if (backgroundNode) {
             nodes.push(backgroundNode);
         }
         
-        // Generate TileMap nodes for each layer
-        for (let i = 0; i < layers.length; i++) {
+        // Generate TileMap nodes for each layer, wrapped in a parallax node when needed,
+        // or one TileMap holding every layer
+        let parallaxBackgroundAdded = false;
+        
+        if (options.tileMapTarget === 'MergedTileMap') {
+            nodes.push(...this.generateMergedTileMapNodes(layers, options));
+        }
+        
+        for (let i = 0; i < layers.length && options.tileMapTarget !== 'MergedTileMap'; i++) {
             const layer = layers[i];
-            const tileMapNode = this.generateTileMapNode(layer, i);
+            let parentPath = '.';
+            
+            if (this.hasParallax(layer)) {
+                if (options.parallaxNode === 'ParallaxLayer' && !parallaxBackgroundAdded) {
+                    nodes.push(`[node name="ParallaxBackground" type="ParallaxBackground" parent="${this.getParentPath()}"]`);
+                    parallaxBackgroundAdded = true;
+                }
+                
+                const parallaxNode = this.generateParallaxNode(layer, options);
+                nodes.push(parallaxNode.node);
+                parentPath = parallaxNode.path;
+            }
+            
+            const tileMapNode = this.generateTileMapNode(layer, i, parentPath, options);
             nodes.push(tileMapNode);
         }
         
-        // Combine all parts
+        // Generate collision TileMaps for IntGrid layers
+        for (const intGridLayer of conversionData.intGridLayers || []) {
+            nodes.push(this.generateIntGridNode(intGridLayer, options));
+        }
+        
+        // Generate entity nodes
+        for (const entityLayer of conversionData.entityLayers || []) {
+            nodes.push(...this.generateEntityLayerNodes(entityLayer, options));
+        }
+        
+        if (options.neighbourTriggers) {
+            nodes.push(...this.generateNeighbourTriggerNodes(level));
+        }
+        
+        nodes.push(...this.generateBoundsNodes(level, options));
+        
+        return nodes;
+    }
+
+    /**
+     * Combine header, resources and nodes into the scene text
+     */
+    joinScene(header, nodes) {
         const parts = [
             header,
             '',
-            ...externalResources,
+            ...this.extResources,
             '',
+            ...this.subResources,
             ...nodes
         ];
         
         return parts.join('\n');
     }
 
+    /**
+     * Get the scene path of a node parent given relative to the level node
+     */
+    getParentPath(path = '.') {
+        if (this.levelPath === '.') {
+            return path;
+        }
+        
+        return path === '.' ? this.levelPath : `${this.levelPath}/${path}`;
+    }
+
+
+    /**
+     * Check whether conversion data has anything to put in a scene
+     */
+    hasContent(conversionData) {
+        const layers = conversionData.layers || [];
+        const intGridLayers = conversionData.intGridLayers || [];
+        const entityLayers = conversionData.entityLayers || [];
+        return layers.length + intGridLayers.length + entityLayers.length > 0;
+    }
+
+    /**
+     * Check whether any level of a world has something to put in a scene
+     */
+    hasWorldContent(worldData) {
+        return worldData.levels.some(data => this.hasContent(data));
+    }
 
     /**
      * Generate TSCN header with load steps
      */
-    generateHeader(layers) {
-        // Calculate load steps: header + external resources + nodes
-        const uniqueTilesets = new Set(layers.map(layer => layer.tileset.identifier));
-        const loadSteps = uniqueTilesets.size * 2 + 1; // Tileset + texture per unique tileset + scene uid
-        
-        const uid = `uid://b${Utils.generateUID()}`;
+    generateHeader(resourceCount, scenePath, uidSeed) {
+        // Calculate load steps: external and sub-resources + the scene itself
+        const loadSteps = resourceCount + 1;
+        const uid = Utils.getResourceUID(this.uidOptions, scenePath, uidSeed);
         
         return `[gd_scene load_steps=${loadSteps} format=3 uid="${uid}"]`;
     }
@@ -94,22 +381,27 @@ class TSCNGenerator {
         
         for (const layer of layers) {
             const tileset = layer.tileset;
+            const tilesetPath = this.tilesetMapper.getTilesetResourcePath(tileset.identifier, layer.cellSize);
             
-            if (processedTilesets.has(tileset.identifier)) {
+            if (processedTilesets.has(tilesetPath)) {
                 continue;
             }
             
-            processedTilesets.add(tileset.identifier);
+            processedTilesets.add(tilesetPath);
             
-            // Add texture resource
-            const textureId = `${resourceId}_texture`;
+            // Add texture resource, shared by the TileSets of one tileset
             const texturePath = this.tilesetMapper.getTextureResourcePath(tileset.identifier);
-            resources.push(`[ext_resource type="Texture2D" uid="uid://b${Utils.generateUID()}" path="${texturePath}" id="${textureId}"]`);
+            if (!this.extResourceIds.has(texturePath)) {
+                const textureId = `${resourceId}_texture`;
+                resources.push(`[ext_resource type="Texture2D" uid="${Utils.getResourceUID(this.uidOptions, texturePath)}" path="${texturePath}" id="${textureId}"]`);
+                this.extResourceIds.set(texturePath, textureId);
+            }
             
-            // Add tileset resource
+            // Add tileset resource, referenced by every layer using this tileset on this grid
             const tilesetId = `${resourceId}_tileset`;
-            const tilesetPath = this.tilesetMapper.getTilesetResourcePath(tileset.identifier);
-            resources.push(`[ext_resource type="TileSet" uid="uid://d${Utils.generateUID()}" path="${tilesetPath}" id="${tilesetId}"]`);
+            resources.push(`[ext_resource type="TileSet" uid="${Utils.getResourceUID(this.uidOptions, tilesetPath)}" path="${tilesetPath}" id="${tilesetId}"]`);
+            this.extResourceIds.set(tilesetPath, tilesetId);
+            this.tilesetResourceIds.set(tilesetPath, tilesetId);
             
             resourceId++;
         }
@@ -118,41 +410,372 @@ class TSCNGenerator {
     }
 
     /**
-     * Generate root node
+     * Get the ext_resource id of the TileSet used by a tile layer
+     */
+    getTileSetResourceId(layer) {
+        return this.tilesetResourceIds.get(this.tilesetMapper.getTilesetResourcePath(layer.tileset.identifier, layer.cellSize));
+    }
+
+    /**
+     * Register an external resource and return its id.
+     * Resources are shared by path, so each file is only loaded once.
+     */
+    addExtResource(type, path, suffix, uidSeed = path) {
+        if (this.extResourceIds.has(path)) {
+            return this.extResourceIds.get(path);
+        }
+        
+        const id = `${this.extResources.length + 1}_${suffix}`;
+        this.extResources.push(`[ext_resource type="${type}" uid="${Utils.getResourceUID(this.uidOptions, path, uidSeed)}" path="${path}" id="${id}"]`);
+        this.extResourceIds.set(path, id);
+        return id;
+    }
+
+    /**
+     * Register a sub-resource and return its id
+     */
+    addSubResource(type, properties) {
+        const id = `${type}_${this.resourceCounter++}`;
+        this.subResources.push([`[sub_resource type="${type}" id="${id}"]`, ...properties, ''].join('\n'));
+        return id;
+    }
+
+    /**
+     * Generate the level node: the scene root, or a child of the world root
+     * placed at the level's world position
+     */
+    generateRootNode(level, position = null) {
+        const nodeLines = position
+            ? [
+                `[node name="${this.levelPath}" type="Node2D" parent="."]`,
+                `position = Vector2(${position[0]}, ${position[1]})`
+            ]
+            : [`[node name="${this.sanitizeNodeName(level.identifier)}" type="Node2D"]`];
+        
+        nodeLines.push(`metadata/ldtk_iid = ${Utils.formatGodotValue(level.iid)}`);
+        
+        if (level.neighbours && level.neighbours.length > 0) {
+            nodeLines.push(`metadata/ldtk_neighbours = ${Utils.formatGodotValue(this.getNeighbourRecords(level))}`);
+        }
+        
+        nodeLines.push(...this.generateLevelFieldLines(level, 'metadata/'));
+        
+        return nodeLines.join('\n');
+    }
+
+    /**
+     * Generate property lines for the level field instances.
+     * EntityRef values are relative to the level node.
+     */
+    generateLevelFieldLines(level, prefix) {
+        const lines = [];
+        const sourcePath = this.levelPath === '.' ? '' : this.levelPath;
+        
+        for (const field of level.fields || []) {
+            const value = this.formatFieldValue(field, level.gridSize, sourcePath);
+            if (value !== null) {
+                lines.push(`${prefix}${field.__identifier} = ${value}`);
+            }
+        }
+        
+        return lines;
+    }
+
+    /**
+     * Generate level bounds nodes for options.levelBounds ('rect', 'camera'
+     * or 'both'): a ReferenceRect covering the level and a Camera2D limited
+     * to it. Camera limits are global, so they include the world position
+     * inside world scenes or when options.worldOffset says level scenes are
+     * instanced at their world position.
+     */
+    generateBoundsNodes(level, options = {}) {
+        const mode = options.levelBounds || 'none';
+        const nodes = [];
+        
+        if (mode === 'rect' || mode === 'both') {
+            nodes.push([
+                `[node name="LevelBounds" type="ReferenceRect" parent="${this.getParentPath()}"]`,
+                `offset_right = ${Utils.formatFloat(level.pxWid)}`,
+                `offset_bottom = ${Utils.formatFloat(level.pxHei)}`,
+                'mouse_filter = 2'
+            ].join('\n'));
+        }
+        
+        if (mode === 'camera' || mode === 'both') {
+            const inWorld = this.levelPath !== '.' || options.worldOffset;
+            const [left, top] = inWorld && level.worldPosition ? level.worldPosition : [0, 0];
+            
+            nodes.push([
+                `[node name="Camera2D" type="Camera2D" parent="${this.getParentPath()}"]`,
+                `limit_left = ${left}`,
+                `limit_top = ${top}`,
+                `limit_right = ${left + level.pxWid}`,
+                `limit_bottom = ${top + level.pxHei}`
+            ].join('\n'));
+        }
+        
+        return nodes;
+    }
+
+    /**
+     * Get the neighbours of a level as { level_iid, dir } records
+     */
+    getNeighbourRecords(level) {
+        return (level.neighbours || []).map(neighbour => ({
+            level_iid: neighbour.levelIid,
+            dir: neighbour.dir
+        }));
+    }
+
+    /**
+     * Generate an Area2D trigger along each border shared with a neighbour
+     * (n, s, e, w), one grid cell deep inside the level. Each trigger stores
+     * the neighbour's iid, identifier and direction as metadata.
+     */
+    generateNeighbourTriggerNodes(level) {
+        const triggers = (level.neighbours || [])
+            .map(neighbour => ({ neighbour, rect: this.getNeighbourBorderRect(level, neighbour) }))
+            .filter(trigger => trigger.rect);
+        
+        if (triggers.length === 0) {
+            return [];
+        }
+        
+        const nodes = [`[node name="NeighbourTriggers" type="Node2D" parent="${this.getParentPath()}"]`];
+        const usedNames = new Set();
+        
+        for (const { neighbour, rect } of triggers) {
+            const nodeName = this.uniqueNodeName(
+                this.sanitizeNodeName(`${neighbour.dir.toUpperCase()}_${neighbour.identifier || neighbour.levelIid}`),
+                usedNames
+            );
+            const shapeId = this.addSubResource('RectangleShape2D', [`size = Vector2(${rect[2]}, ${rect[3]})`]);
+            
+            nodes.push([
+                `[node name="${nodeName}" type="Area2D" parent="${this.getParentPath('NeighbourTriggers')}"]`,
+                `position = Vector2(${rect[0] + rect[2] / 2}, ${rect[1] + rect[3] / 2})`,
+                `metadata/ldtk_level_iid = ${Utils.formatGodotValue(neighbour.levelIid)}`,
+                `metadata/ldtk_level_identifier = ${Utils.formatGodotValue(neighbour.identifier)}`,
+                `metadata/ldtk_dir = ${Utils.formatGodotValue(neighbour.dir)}`
+            ].join('\n'));
+            
+            nodes.push([
+                `[node name="CollisionShape2D" type="CollisionShape2D" parent="${this.getParentPath(`NeighbourTriggers/${nodeName}`)}"]`,
+                `shape = SubResource("${shapeId}")`
+            ].join('\n'));
+        }
+        
+        return nodes;
+    }
+
+    /**
+     * Get the trigger rect [x, y, width, height] in level pixels along the
+     * border shared with a neighbour, or null when they share no edge
+     * (corner, overlap and depth neighbours)
      */
-    generateRootNode(level) {
-        const nodeName = this.sanitizeNodeName(level.identifier);
-        return `[node name="${nodeName}" type="Node2D"]`;
+    getNeighbourBorderRect(level, neighbour) {
+        if (!neighbour.worldPosition || !level.worldPosition) {
+            return null;
+        }
+        
+        const depth = level.gridSize;
+        const left = neighbour.worldPosition[0] - level.worldPosition[0];
+        const top = neighbour.worldPosition[1] - level.worldPosition[1];
+        
+        // Shared span along the border, clamped to this level
+        const spanX = [Math.max(0, left), Math.min(level.pxWid, left + neighbour.pxWid)];
+        const spanY = [Math.max(0, top), Math.min(level.pxHei, top + neighbour.pxHei)];
+        
+        switch (neighbour.dir) {
+            case 'n':
+                return spanX[1] > spanX[0] ? [spanX[0], 0, spanX[1] - spanX[0], depth] : null;
+            case 's':
+                return spanX[1] > spanX[0] ? [spanX[0], level.pxHei - depth, spanX[1] - spanX[0], depth] : null;
+            case 'w':
+                return spanY[1] > spanY[0] ? [0, spanY[0], depth, spanY[1] - spanY[0]] : null;
+            case 'e':
+                return spanY[1] > spanY[0] ? [level.pxWid - depth, spanY[0], depth, spanY[1] - spanY[0]] : null;
+            default:
+                return null;
+        }
+    }
+
+    /**
+     * Generate a .tres Resource holding the level fields. With a script the
+     * fields are written as script properties, otherwise as metadata.
+     */
+    generateLevelResource(conversionData, options = {}) {
+        const level = conversionData.level;
+        const script = options.levelResourceScript || null;
+        
+        this.entityNodePaths = this.collectEntityNodePaths(conversionData.entityLayers || []);
+        this.unresolvedReferences = [];
+        
+        const resourcePath = this.generateFilename(level.identifier, level.worldIdentifier, '.tres');
+        const uid = Utils.getResourceUID(options, resourcePath, `level-resource:${level.iid}`);
+        const lines = [];
+        
+        if (script) {
+            lines.push(`[gd_resource type="Resource" load_steps=2 format=3 uid="${uid}"]`);
+            lines.push('');
+            lines.push(`[ext_resource type="Script" path="${script}" id="1_script"]`);
+        } else {
+            lines.push(`[gd_resource type="Resource" format=3 uid="${uid}"]`);
+        }
+        
+        lines.push('');
+        lines.push('[resource]');
+        
+        if (script) {
+            lines.push('script = ExtResource("1_script")');
+            lines.push(...this.generateLevelFieldLines(level, ''));
+        }
+        
+        lines.push(`metadata/ldtk_identifier = ${Utils.formatGodotValue(level.identifier)}`);
+        lines.push(`metadata/ldtk_iid = ${Utils.formatGodotValue(level.iid)}`);
+        
+        if (!script) {
+            lines.push(...this.generateLevelFieldLines(level, 'metadata/'));
+        }
+        
+        return lines.join('\n') + '\n';
+    }
+
+    /**
+     * Generate background nodes if needed: a ColorRect from the level color
+     * (in level space, or screen-filling in a CanvasLayer) and a Sprite2D for
+     * the background image with LDtk's computed position, scale and crop
+     */
+    generateBackgroundNode(level, options = {}) {
+        const mode = options.backgroundMode || 'level';
+        if (mode === 'none') {
+            return null;
+        }
+        
+        const nodes = [];
+        
+        if (level.bgColor) {
+            const color = Utils.hexToGodotColor(level.bgColor);
+            
+            if (mode === 'canvas_layer') {
+                nodes.push([
+                    `[node name="BackgroundLayer" type="CanvasLayer" parent="${this.getParentPath()}"]`,
+                    'layer = -1'
+                ].join('\n'));
+                nodes.push([
+                    `[node name="BackgroundColor" type="ColorRect" parent="${this.getParentPath('BackgroundLayer')}"]`,
+                    'anchors_preset = 15',
+                    'anchor_right = 1.0',
+                    'anchor_bottom = 1.0',
+                    'grow_horizontal = 2',
+                    'grow_vertical = 2',
+                    'mouse_filter = 2',
+                    `color = ${color}`
+                ].join('\n'));
+            } else {
+                nodes.push([
+                    `[node name="BackgroundColor" type="ColorRect" parent="${this.getParentPath()}"]`,
+                    `offset_right = ${Utils.formatFloat(level.pxWid)}`,
+                    `offset_bottom = ${Utils.formatFloat(level.pxHei)}`,
+                    'mouse_filter = 2',
+                    `color = ${color}`
+                ].join('\n'));
+            }
+        }
+        
+        if (level.bgRelPath && level.bgPos) {
+            const textureId = this.addExtResource('Texture2D', Utils.relPathToResPath(level.bgRelPath), 'texture');
+            const bgPos = level.bgPos;
+            const crop = bgPos.cropRect;
+            
+            nodes.push([
+                `[node name="BackgroundImage" type="Sprite2D" parent="${this.getParentPath()}"]`,
+                `position = Vector2(${bgPos.topLeftPx[0]}, ${bgPos.topLeftPx[1]})`,
+                `scale = Vector2(${bgPos.scale[0]}, ${bgPos.scale[1]})`,
+                `texture = ExtResource("${textureId}")`,
+                'centered = false',
+                'region_enabled = true',
+                `region_rect = Rect2(${crop[0]}, ${crop[1]}, ${crop[2]}, ${crop[3]})`
+            ].join('\n'));
+        }
+        
+        return nodes.length > 0 ? nodes.join('\n') : null;
+    }
+
+    /**
+     * Check whether a layer scrolls with a parallax factor
+     */
+    hasParallax(layer) {
+        return !!layer.parallax && (layer.parallax[0] !== 0 || layer.parallax[1] !== 0);
+    }
+
+    /**
+     * Generate the parallax wrapper of a layer.
+     * LDtk factors run from -1 to 1 where 1 stays fixed on screen, so Godot's
+     * scroll scale is 1 - factor. Uses Parallax2D (Godot 4.3) by default, or a
+     * ParallaxLayer under a shared ParallaxBackground.
+     */
+    generateParallaxNode(layer, options = {}) {
+        const layerName = this.sanitizeNodeName(layer.config.name || layer.identifier);
+        const nodeName = `${layerName}_Parallax`;
+        const scrollScale = (factor) => parseFloat((1 - factor).toFixed(6));
+        const scale = `Vector2(${scrollScale(layer.parallax[0])}, ${scrollScale(layer.parallax[1])})`;
+        
+        if (options.parallaxNode === 'ParallaxLayer') {
+            return {
+                node: [
+                    `[node name="${nodeName}" type="ParallaxLayer" parent="${this.getParentPath('ParallaxBackground')}"]`,
+                    `motion_scale = ${scale}`
+                ].join('\n'),
+                path: `ParallaxBackground/${nodeName}`
+            };
+        }
+        
+        return {
+            node: [
+                `[node name="${nodeName}" type="Parallax2D" parent="${this.getParentPath()}"]`,
+                `scroll_scale = ${scale}`
+            ].join('\n'),
+            path: nodeName
+        };
     }
 
     /**
-     * Generate background texture node if needed
+     * Generate position line for a layer offset, if any
      */
-    generateBackgroundNode(level) {
-        // For now, we'll skip the background texture
-        // This can be added later if needed
-        return null;
+    generateOffsetLine(offset) {
+        if (!offset || (offset[0] === 0 && offset[1] === 0)) {
+            return null;
+        }
+        
+        return `position = Vector2(${offset[0]}, ${offset[1]})`;
     }
 
     /**
      * Generate TileMap node for a layer
      */
-    generateTileMapNode(layer, layerIndex) {
+    generateTileMapNode(layer, layerIndex, parentPath = '.', options = {}) {
         const config = layer.config;
         const nodeName = config.name || layer.identifier;
         const sanitizedName = this.sanitizeNodeName(nodeName);
-        
-        const tileData = this.generateTileData(layer);
-        const parentPath = layerIndex === 0 ? '.' : '.';
+        const isLayerNode = options.tileMapTarget === 'TileMapLayer';
         
         const nodeLines = [
-            `[node name="${sanitizedName}" type="TileMap" parent="${parentPath}"]`,
+            `[node name="${sanitizedName}" type="${isLayerNode ? 'TileMapLayer' : 'TileMap'}" parent="${this.getParentPath(parentPath)}"]`,
             'texture_filter = 1',
-            `tile_set = ExtResource("1_tileset")`, // Reference to first tileset
-            'format = 2'
+            `tile_set = ExtResource("${this.getTileSetResourceId(layer)}")`
         ];
         
+        if (!isLayerNode) {
+            nodeLines.push('format = 2');
+        }
+        
         // Add layer-specific properties
+        const offsetLine = this.generateOffsetLine(layer.offset);
+        if (offsetLine) {
+            nodeLines.push(offsetLine);
+        }
+        
         if (config.modulate && config.modulate !== 'Color(1, 1, 1, 1)') {
             nodeLines.push(`modulate = ${config.modulate}`);
         }
@@ -162,45 +785,529 @@ class TSCNGenerator {
         }
         
         // Add tile data
-        if (tileData.length > 0) {
+        if (isLayerNode) {
+            const cells = this.getTileCells(layer, options);
+            if (cells.length > 0) {
+                nodeLines.push(this.generateTileMapDataLine(cells));
+            }
+        } else {
+            const tileData = this.generateTileData(layer, options);
+            if (tileData.length > 0) {
+                nodeLines.push(`layer_0/tile_data = PackedInt32Array(${tileData.join(', ')})`);
+            }
+        }
+        
+        return nodeLines.join('\n');
+    }
+
+    /**
+     * Generate one TileMap per tileset holding every tile layer as an internal
+     * layer_N, ordered bottom to top (LDtk layer order, stacked layers above
+     * their base layer). Layer offsets and parallax cannot be kept per layer.
+     */
+    generateMergedTileMapNodes(layers, options = {}) {
+        const layerOrder = this.getLayerOrder(layers);
+        const ySortLayers = options.ySortLayers || [];
+        const tilesetGroups = new Map();
+        
+        // Layers sharing a TileSet resource (same tileset and grid) share a TileMap
+        for (const layer of layers) {
+            const tilesetPath = this.tilesetMapper.getTilesetResourcePath(layer.tileset.identifier, layer.cellSize);
+            if (!tilesetGroups.has(tilesetPath)) {
+                tilesetGroups.set(tilesetPath, []);
+            }
+            tilesetGroups.get(tilesetPath).push(layer);
+            
+            if (this.generateOffsetLine(layer.offset) || this.hasParallax(layer)) {
+                Utils.log(`Layer ${layer.identifier} offset and parallax are not kept in a merged TileMap`, 'warning');
+            }
+        }
+        
+        if (tilesetGroups.size > 1) {
+            Utils.log('Layers use several tilesets; writing one merged TileMap per tileset', 'warning');
+        }
+        
+        const nodes = [];
+        const usedNames = new Set();
+        
+        for (const groupLayers of tilesetGroups.values()) {
+            const nodeName = tilesetGroups.size > 1
+                ? this.uniqueNodeName(this.sanitizeNodeName(`TileMap_${groupLayers[0].tileset.identifier}`), usedNames)
+                : 'TileMap';
+            const sortedLayers = [...groupLayers].sort((a, b) =>
+                Utils.getLayerIndex(a.identifier, layerOrder) - Utils.getLayerIndex(b.identifier, layerOrder)
+            );
+            
+            const nodeLines = [
+                `[node name="${nodeName}" type="TileMap" parent="${this.getParentPath()}"]`,
+                'texture_filter = 1',
+                `tile_set = ExtResource("${this.getTileSetResourceId(groupLayers[0])}")`,
+                'format = 2'
+            ];
+            
+            sortedLayers.forEach((layer, index) => {
+                const config = layer.config;
+                const prefix = `layer_${index}`;
+                
+                nodeLines.push(`${prefix}/name = ${Utils.formatGodotValue(config.name || layer.identifier)}`);
+                
+                if (layer.visible === false) {
+                    nodeLines.push(`${prefix}/enabled = false`);
+                }
+                
+                if (config.modulate && config.modulate !== 'Color(1, 1, 1, 1)') {
+                    nodeLines.push(`${prefix}/modulate = ${config.modulate}`);
+                }
+                
+                if (ySortLayers.includes(layer.identifier)) {
+                    nodeLines.push(`${prefix}/y_sort_enabled = true`);
+                }
+                
+                if (config.zIndex !== 0) {
+                    nodeLines.push(`${prefix}/z_index = ${config.zIndex}`);
+                }
+                
+                const tileData = this.generateTileData(layer, options);
+                if (tileData.length > 0) {
+                    nodeLines.push(`${prefix}/tile_data = PackedInt32Array(${tileData.join(', ')})`);
+                }
+            });
+            
+            nodes.push(nodeLines.join('\n'));
+        }
+        
+        return nodes;
+    }
+
+    /**
+     * Get tile layer identifiers in bottom-to-top order: by LDtk depth, keeping
+     * stacked layers (<Layer>_2, ...) above their base layer
+     */
+    getLayerOrder(layers) {
+        return layers
+            .map((layer, index) => ({ layer, index }))
+            .sort((a, b) =>
+                ((a.layer.depth || 0) - (b.layer.depth || 0)) ||
+                ((a.layer.stackIndex || 0) - (b.layer.stackIndex || 0)) ||
+                (a.index - b.index)
+            )
+            .map(entry => entry.layer.identifier);
+    }
+
+    /**
+     * Generate the tile_map_data property of a TileMapLayer node
+     */
+    generateTileMapDataLine(cells) {
+        const bytes = this.tilesetMapper.encodeTileMapLayerData(cells);
+        return `tile_map_data = PackedByteArray("${Utils.bytesToBase64(bytes)}")`;
+    }
+
+
+    /**
+     * Generate collision TileMap node for an IntGrid layer.
+     * Each IntGrid value becomes one tile of an inline TileSet carrying
+     * its physics polygon and custom data.
+     */
+    generateIntGridNode(intGridLayer, options = {}) {
+        const config = intGridLayer.config;
+        const isLayerNode = options.tileMapTarget === 'TileMapLayer';
+        const sanitizedName = this.sanitizeNodeName(`${config.name || intGridLayer.identifier}_IntGrid`);
+        const tileSetId = this.generateIntGridTileSet(intGridLayer);
+        
+        // Atlas X coordinate of each value's tile
+        const atlasColumns = new Map([...intGridLayer.valueTable.keys()].map((value, index) => [value, index]));
+        const tileCells = [];
+        const unknownValues = new Set();
+        
+        for (const cell of intGridLayer.cells) {
+            if (!atlasColumns.has(cell.value)) {
+                unknownValues.add(cell.value);
+                continue;
+            }
+            
+            tileCells.push({
+                x: cell.gridPos[0],
+                y: cell.gridPos[1],
+                sourceId: 0,
+                atlasX: atlasColumns.get(cell.value),
+                atlasY: 0,
+                alternative: 0
+            });
+        }
+        
+        // Warn once per layer, not once per cell
+        if (unknownValues.size > 0) {
+            Utils.log(`Unknown IntGrid values ${[...unknownValues].join(', ')} in layer ${intGridLayer.identifier}; their cells were skipped`, 'warning');
+        }
+        
+        const nodeLines = [
+            `[node name="${sanitizedName}" type="${isLayerNode ? 'TileMapLayer' : 'TileMap'}" parent="${this.getParentPath()}"]`,
+            `tile_set = SubResource("${tileSetId}")`
+        ];
+        
+        if (!isLayerNode) {
+            nodeLines.push('format = 2');
+        }
+        
+        const offsetLine = this.generateOffsetLine(intGridLayer.offset);
+        if (offsetLine) {
+            nodeLines.push(offsetLine);
+        }
+        
+        if (config.zIndex !== 0) {
+            nodeLines.push(`z_index = ${config.zIndex}`);
+        }
+        
+        if (tileCells.length > 0 && isLayerNode) {
+            nodeLines.push(this.generateTileMapDataLine(tileCells));
+        } else if (tileCells.length > 0) {
+            const tileData = tileCells.flatMap(cell => [
+                Utils.gridToGodotPosition(cell.x, cell.y),
+                cell.atlasX * 65536,
+                0
+            ]);
             nodeLines.push(`layer_0/tile_data = PackedInt32Array(${tileData.join(', ')})`);
         }
         
         return nodeLines.join('\n');
     }
 
+    /**
+     * Generate the inline TileSet used by an IntGrid collision TileMap
+     */
+    generateIntGridTileSet(intGridLayer) {
+        const valueTable = intGridLayer.valueTable;
+        const gridSize = intGridLayer.gridSize;
+        const half = gridSize / 2;
+        const physicsLayers = this.intGridMapper.getPhysicsLayers(valueTable);
+        const customDataLayers = this.intGridMapper.getCustomDataLayers(valueTable);
+        
+        // Values have no artwork, so the atlas uses a placeholder texture
+        const textureId = this.addSubResource('PlaceholderTexture2D', [
+            `size = Vector2(${valueTable.size * gridSize}, ${gridSize})`
+        ]);
+        
+        const atlasLines = [
+            `texture = SubResource("${textureId}")`,
+            `texture_region_size = Vector2i(${gridSize}, ${gridSize})`
+        ];
+        
+        let atlasX = 0;
+        for (const entry of valueTable.values()) {
+            const tileKey = `${atlasX}:0/0`;
+            atlasLines.push(`${tileKey} = 0`);
+            
+            if (entry.collision) {
+                const physicsIndex = physicsLayers.indexOf(entry.collisionLayer);
+                atlasLines.push(`${tileKey}/physics_layer_${physicsIndex}/polygon_0/points = PackedVector2Array(${-half}, ${-half}, ${half}, ${-half}, ${half}, ${half}, ${-half}, ${half})`);
+            }
+            
+            const customData = this.intGridMapper.getCustomDataValues(entry);
+            customDataLayers.forEach((layer, index) => {
+                if (customData[layer.name] !== undefined) {
+                    atlasLines.push(`${tileKey}/custom_data_${index} = ${Utils.formatGodotValue(customData[layer.name])}`);
+                }
+            });
+            
+            atlasX++;
+        }
+        
+        const atlasId = this.addSubResource('TileSetAtlasSource', atlasLines);
+        
+        const tileSetLines = [`tile_size = Vector2i(${gridSize}, ${gridSize})`];
+        physicsLayers.forEach((collisionLayer, index) => {
+            tileSetLines.push(`physics_layer_${index}/collision_layer = ${collisionLayer}`);
+        });
+        customDataLayers.forEach((layer, index) => {
+            tileSetLines.push(`custom_data_layer_${index}/name = "${layer.name}"`);
+            tileSetLines.push(`custom_data_layer_${index}/type = ${layer.type}`);
+        });
+        tileSetLines.push(`sources/0 = SubResource("${atlasId}")`);
+        
+        return this.addSubResource('TileSet', tileSetLines);
+    }
+
+    /**
+     * Generate the container node of an entity layer and one node per entity
+     */
+    generateEntityLayerNodes(entityLayer, options = {}) {
+        const config = entityLayer.config;
+        const layerName = this.getEntityLayerNodeName(entityLayer);
+        
+        const containerLines = [`[node name="${layerName}" type="Node2D" parent="${this.getParentPath()}"]`];
+        
+        const offsetLine = this.generateOffsetLine(entityLayer.offset);
+        if (offsetLine) {
+            containerLines.push(offsetLine);
+        }
+        
+        if (config.zIndex !== 0) {
+            containerLines.push(`z_index = ${config.zIndex}`);
+        }
+        
+        const nodes = [containerLines.join('\n')];
+        
+        for (const entity of entityLayer.entities) {
+            const nodePath = this.entityNodePaths.get(entity.iid);
+            nodes.push(this.generateEntityNode(entity, entityLayer, nodePath, options.entityScenes || {}));
+        }
+        
+        return nodes;
+    }
+
+    /**
+     * Get node name of an entity layer container
+     */
+    getEntityLayerNodeName(entityLayer) {
+        return this.sanitizeNodeName(entityLayer.config.name || entityLayer.identifier);
+    }
+
+    /**
+     * Assign a unique node path to every entity, keyed by entity iid.
+     * Paths are prefixed with the level node path inside a world scene.
+     */
+    collectEntityNodePaths(entityLayers, levelPath = '') {
+        const nodePaths = new Map();
+        
+        for (const entityLayer of entityLayers) {
+            const layerName = levelPath
+                ? `${levelPath}/${this.getEntityLayerNodeName(entityLayer)}`
+                : this.getEntityLayerNodeName(entityLayer);
+            const usedNames = new Set();
+            
+            for (const entity of entityLayer.entities) {
+                const nodeName = this.uniqueNodeName(this.sanitizeNodeName(entity.identifier), usedNames);
+                nodePaths.set(entity.iid, `${layerName}/${nodeName}`);
+            }
+        }
+        
+        return nodePaths;
+    }
+
+    /**
+     * Generate an entity node: an instanced scene when the identifier is mapped,
+     * otherwise a Marker2D placeholder. Field instances become metadata, or
+     * properties when the scene mapping sets fieldsAsProperties.
+     */
+    generateEntityNode(entity, entityLayer, nodePath, entityScenes) {
+        const mapping = this.getEntitySceneMapping(entity.identifier, entityScenes);
+        const separator = nodePath.lastIndexOf('/');
+        const parentPath = nodePath.substring(0, separator);
+        const nodeName = nodePath.substring(separator + 1);
+        const position = this.getEntityPosition(entity, mapping);
+        
+        const nodeLines = [];
+        
+        if (mapping) {
+            const sceneId = this.addExtResource('PackedScene', mapping.scene, 'scene');
+            nodeLines.push(`[node name="${nodeName}" parent="${parentPath}" instance=ExtResource("${sceneId}")]`);
+        } else {
+            nodeLines.push(`[node name="${nodeName}" type="Marker2D" parent="${parentPath}"]`);
+        }
+        
+        nodeLines.push(`position = Vector2(${position[0]}, ${position[1]})`);
+        
+        if (!mapping && (entity.width > 0 || entity.height > 0)) {
+            nodeLines.push(`gizmo_extents = ${Math.max(entity.width, entity.height) / 2}`);
+        }
+        
+        const metadataLines = [`metadata/ldtk_iid = ${Utils.formatGodotValue(entity.iid)}`];
+        const fieldPrefix = mapping && mapping.fieldsAsProperties ? '' : 'metadata/';
+        
+        for (const field of entity.fields) {
+            const value = this.formatFieldValue(field, entityLayer.gridSize, nodePath);
+            if (value === null) {
+                continue;
+            }
+            
+            if (fieldPrefix) {
+                metadataLines.push(`${fieldPrefix}${field.__identifier} = ${value}`);
+            } else {
+                nodeLines.push(`${field.__identifier} = ${value}`);
+            }
+        }
+        
+        // Godot writes metadata after regular properties
+        nodeLines.push(...metadataLines);
+        
+        return nodeLines.join('\n');
+    }
+
+    /**
+     * Format an LDtk field instance as a Godot value literal.
+     * sourcePath is the node path holding the field, used to make EntityRef
+     * values relative. Returns null for empty fields so they are left out.
+     */
+    formatFieldValue(field, gridSize, sourcePath = '') {
+        const value = field.__value;
+        if (value === null || value === undefined) {
+            return null;
+        }
+        
+        const arrayMatch = field.__type.match(/^Array<(.+)>$/);
+        if (arrayMatch) {
+            const itemKind = this.getFieldKind(arrayMatch[1]);
+            const items = value
+                .filter(item => item !== null)
+                .map(item => this.formatScalarFieldValue(itemKind, item, gridSize, sourcePath));
+            let godotType = this.fieldGodotTypes[itemKind];
+            
+            // Reference arrays are only typed when every target was resolved
+            if (itemKind === 'EntityRef' && items.every(item => item.startsWith('NodePath('))) {
+                godotType = 'NodePath';
+            }
+            
+            return godotType ? `Array[${godotType}]([${items.join(', ')}])` : `[${items.join(', ')}]`;
+        }
+        
+        return this.formatScalarFieldValue(this.getFieldKind(field.__type), value, gridSize, sourcePath);
+    }
+
+    /**
+     * Format a single (non-array) field value
+     */
+    formatScalarFieldValue(kind, value, gridSize, sourcePath) {
+        switch (kind) {
+            case 'Int':
+                return String(Math.trunc(value));
+            case 'Float':
+                return Utils.formatFloat(value);
+            case 'Bool':
+                return value ? 'true' : 'false';
+            case 'Color':
+                return Utils.hexToGodotColor(value);
+            case 'Point':
+                // Grid cell converted to its pixel center, relative to the level
+                return `Vector2(${(value.cx + 0.5) * gridSize}, ${(value.cy + 0.5) * gridSize})`;
+            case 'Tile':
+                return `Rect2(${value.x}, ${value.y}, ${value.w}, ${value.h})`;
+            case 'EntityRef':
+                return this.formatEntityRef(value, sourcePath);
+            default:
+                // String, Multilines, FilePath, Enum and anything unknown
+                return Utils.formatGodotValue(value);
+        }
+    }
+
+    /**
+     * Format an EntityRef value as a NodePath relative to the referencing node.
+     * Targets outside this scene become an unresolved-reference Dictionary.
+     */
+    formatEntityRef(reference, sourcePath) {
+        const targetPath = this.entityNodePaths.get(reference.entityIid);
+        
+        if (targetPath) {
+            return `NodePath("${Utils.relativeNodePath(sourcePath, targetPath)}")`;
+        }
+        
+        const record = {
+            level_iid: reference.levelIid,
+            entity_iid: reference.entityIid,
+            layer_iid: reference.layerIid,
+            world_iid: reference.worldIid
+        };
+        
+        this.unresolvedReferences.push({ source: sourcePath, ...record });
+        Utils.log(`Unresolved entity reference from ${sourcePath || 'root'} to ${reference.entityIid} (level ${reference.levelIid})`, 'warning');
+        
+        return Utils.formatGodotValue(record);
+    }
+
+    /**
+     * Normalize an LDtk field type, folding every enum flavor into 'Enum'
+     */
+    getFieldKind(type) {
+        if (/^(LocalEnum|ExternEnum)\./.test(type) || /^Enum\(/.test(type)) {
+            return 'Enum';
+        }
+        
+        return type;
+    }
+
+    /**
+     * Resolve the scene mapping of an entity identifier.
+     * Entries are either a res:// path or { scene, origin, fieldsAsProperties }
+     * where origin is the scene's origin as a fraction of the entity size
+     * (defaults to the LDtk pivot).
+     */
+    getEntitySceneMapping(identifier, entityScenes) {
+        const entry = entityScenes[identifier];
+        
+        if (!entry) {
+            return null;
+        }
+        
+        if (typeof entry === 'string') {
+            return { scene: entry, origin: null, fieldsAsProperties: false };
+        }
+        
+        return {
+            scene: entry.scene,
+            origin: entry.origin || null,
+            fieldsAsProperties: !!entry.fieldsAsProperties
+        };
+    }
+
+    /**
+     * Get node position of an entity, moving from the LDtk pivot to the scene origin
+     */
+    getEntityPosition(entity, mapping) {
+        const origin = mapping && mapping.origin ? mapping.origin : entity.pivot;
+        
+        return [
+            entity.px[0] + (origin[0] - entity.pivot[0]) * entity.width,
+            entity.px[1] + (origin[1] - entity.pivot[1]) * entity.height
+        ];
+    }
+
+    /**
+     * Make a node name unique among its siblings
+     */
+    uniqueNodeName(name, usedNames) {
+        let uniqueName = name;
+        let suffix = 2;
+        
+        while (usedNames.has(uniqueName)) {
+            uniqueName = `${name}_${suffix}`;
+            suffix++;
+        }
+        
+        usedNames.add(uniqueName);
+        return uniqueName;
+    }
 
     /**
      * Generate tile data array for a layer
      */
-    generateTileData(layer) {
+    generateTileData(layer, options = {}) {
         if (!layer.tiles || layer.tiles.length === 0) {
             return [];
         }
         
+        const cells = this.getTileCells(layer, options);
+        
+        if (options.tileEncoding === 'godot4') {
+            return cells.flatMap(cell => this.tilesetMapper.encodeGodot4TileData(
+                cell.x, cell.y, cell.sourceId, cell.atlasX, cell.atlasY, cell.alternative, cell.flipFlags
+            ));
+        }
+        
         const tileData = [];
+        const tileGridSize = layer.tileset.tileGridSize;
         
-        for (const tile of layer.tiles) {
-            const gridPos = tile.gridPos;
-            const position = Utils.gridToGodotPosition(gridPos[0], gridPos[1]);
-            
-            // Calculate atlas coordinates
-            const tileGridSize = layer.tileset.tileGridSize || 16;
-            const atlasX = Math.floor(tile.src[0] / tileGridSize);
-            const atlasY = Math.floor(tile.src[1] / tileGridSize);
+        for (const cell of cells) {
+            const position = Utils.gridToGodotPosition(cell.x, cell.y);
             
-            // Handle rotation/flip transformations
-            const rotatedTile = this.tilesetMapper.handleRotatedTile(atlasX, atlasY, tile.flipFlags);
-            
-            // Get source coordinates (using potentially adjusted atlas coordinates)
+            // Get source coordinates
             const source = this.tilesetMapper.ldtkSourceToGodotSource(
-                rotatedTile.atlasX * tileGridSize, 
-                rotatedTile.atlasY * tileGridSize, 
-                layer.tileset.uid
+                cell.atlasX * tileGridSize, 
+                cell.atlasY * tileGridSize, 
+                layer.tileset.uid,
+                tileGridSize
             );
             
             // Get alternative tile ID
-            const alternative = this.tilesetMapper.getAlternativeTileId(tile.flipFlags, rotatedTile.atlasX, rotatedTile.atlasY);
+            const alternative = this.tilesetMapper.getAlternativeTileId(cell.flipFlags, cell.atlasX, cell.atlasY, cell.alternative);
             
             // Add the triplet: position, source, alternative
             tileData.push(position, source, alternative);
@@ -209,6 +1316,31 @@ class TSCNGenerator {
         return tileData;
     }
 
+    /**
+     * Resolve the tiles of a layer to Godot cells:
+     * { x, y, sourceId, atlasX, atlasY, alternative, flipFlags }
+     */
+    getTileCells(layer, options = {}) {
+        const sourceId = this.tilesetMapper.getSourceId(layer.tileset.identifier);
+        
+        return (layer.tiles || []).map(tile => {
+            const [atlasX, atlasY] = this.tilesetMapper.getAtlasCoords(tile.src, layer.tileset);
+            
+            // Flips become transform flags or alternative tiles
+            const transform = this.tilesetMapper.resolveTileTransform(tile.flipFlags, options.flipMode);
+            
+            return {
+                x: tile.gridPos[0],
+                y: tile.gridPos[1],
+                sourceId: sourceId,
+                atlasX: atlasX,
+                atlasY: atlasY,
+                alternative: transform.alternative,
+                flipFlags: transform.flipFlags
+            };
+        });
+    }
+
     /**
      * Sanitize node names for Godot
      */
@@ -246,16 +1378,69 @@ class TSCNGenerator {
             });
         }
         
+        for (const intGridLayer of conversionData.intGridLayers || []) {
+            layerInfo.push({
+                name: `${intGridLayer.identifier}_IntGrid`,
+                tileCount: intGridLayer.cellCount,
+                opacity: 1,
+                visible: true,
+                tileset: 'IntGrid collision'
+            });
+        }
+        
+        const entityCount = (conversionData.entityLayers || [])
+            .reduce((count, entityLayer) => count + entityLayer.entityCount, 0);
+        
         return {
             levelName: level.identifier,
+            worldName: level.worldIdentifier,
+            filename: this.generateFilename(level.identifier, level.worldIdentifier),
             dimensions: `${level.pxWid}x${level.pxHei}px (${level.gridWid}x${level.gridHei} tiles)`,
             totalTiles: totalTiles,
-            layerCount: layers.length,
+            entityCount: entityCount,
+            // Collected by the last generateTSCN call
+            unresolvedReferences: this.unresolvedReferences.length,
+            layerCount: layerInfo.length,
             layers: layerInfo,
             estimatedFileSize: this.estimateFileSize(totalTiles, layers.length)
         };
     }
 
+    /**
+     * Generate preview information about a world conversion, one entry per level
+     */
+    generateWorldPreview(worldData) {
+        const world = worldData.world;
+        const levelPreviews = worldData.levels.map(data => this.generatePreview(data));
+        const levels = worldData.levels.map(data => data.level);
+        
+        const left = Math.min(...levels.map(level => level.worldPosition[0]));
+        const top = Math.min(...levels.map(level => level.worldPosition[1]));
+        const right = Math.max(...levels.map(level => level.worldPosition[0] + level.pxWid));
+        const bottom = Math.max(...levels.map(level => level.worldPosition[1] + level.pxHei));
+        
+        const totalTiles = levelPreviews.reduce((count, preview) => count + preview.totalTiles, 0);
+        const layerCount = levelPreviews.reduce((count, preview) => count + preview.layerCount, 0);
+        
+        return {
+            levelName: `${levels.length} levels`,
+            worldName: world.identifier,
+            filename: this.generateFilename(world.identifier),
+            dimensions: `${right - left}x${bottom - top}px (${world.worldLayout || 'Free'} layout)`,
+            totalTiles: totalTiles,
+            entityCount: levelPreviews.reduce((count, preview) => count + preview.entityCount, 0),
+            // Collected by the last generateWorldTSCN call
+            unresolvedReferences: this.unresolvedReferences.length,
+            layerCount: layerCount,
+            layers: levelPreviews.map((preview, index) => ({
+                name: preview.levelName,
+                tileCount: preview.totalTiles,
+                tileset: `${preview.layerCount} layers at ${levels[index].worldPosition.join(', ')}`
+            })),
+            estimatedFileSize: this.estimateFileSize(totalTiles, layerCount)
+        };
+    }
+
     /**
      * Estimate TSCN file size
      */
@@ -279,7 +1464,7 @@ class TSCNGenerator {
             errors.push('Missing level data');
         }
         
-        if (!conversionData.layers || conversionData.layers.length === 0) {
+        if (!this.hasContent(conversionData)) {
             errors.push('No layers to convert');
         }
         
@@ -303,11 +1488,18 @@ class TSCNGenerator {
     }
 
     /**
-     * Generate filename for the TSCN file
+     * Generate filename for the TSCN file.
+     * Levels of multi-world projects are placed in a folder named after their world.
      */
-    generateFilename(levelIdentifier) {
+    generateFilename(levelIdentifier, worldIdentifier = null, extension = '.tscn') {
         const sanitized = levelIdentifier.replace(/[^a-zA-Z0-9_-]/g, '_');
-        return `${sanitized}.tscn`;
+        
+        if (worldIdentifier) {
+            const sanitizedWorld = worldIdentifier.replace(/[^a-zA-Z0-9_-]/g, '_');
+            return `${sanitizedWorld}/${sanitized}${extension}`;
+        }
+        
+        return `${sanitized}${extension}`;
     }
 }
 
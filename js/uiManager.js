@@ -24,17 +24,39 @@ class UIManager {
             ldtkStatus: document.getElementById('ldtk-status'),
             levelSelector: document.getElementById('level-selector'),
             levelSelect: document.getElementById('level-select'),
+            worldSelectGroup: document.getElementById('world-select-group'),
+            worldSelect: document.getElementById('world-select'),
             conversionOptions: document.getElementById('conversion-options'),
-            includeCollisions: document.getElementById('include-collisions'),
-            includeShadows: document.getElementById('include-shadows'),
-            includeBackground: document.getElementById('include-background'),
+            layerOptions: document.getElementById('layer-options'),
+            intGridTable: document.getElementById('intgrid-table'),
+            entityScenes: document.getElementById('entity-scenes'),
+            parallaxNode: document.getElementById('parallax-node'),
+            backgroundMode: document.getElementById('background-mode'),
+            tileMapTarget: document.getElementById('tilemap-target'),
+            ySortLayers: document.getElementById('ysort-layers'),
+            tileEncoding: document.getElementById('tile-encoding'),
+            flipMode: document.getElementById('flip-mode'),
+            uidMode: document.getElementById('uid-mode'),
+            uidFiles: document.getElementById('uid-files'),
+            uidStatus: document.getElementById('uid-status'),
+            tilesetMapping: document.getElementById('tileset-mapping'),
+            tilesetMappingFile: document.getElementById('tileset-mapping-file'),
+            generateTileSets: document.getElementById('generate-tilesets'),
+            levelResource: document.getElementById('level-resource'),
+            levelResourceScript: document.getElementById('level-resource-script'),
             convertBtn: document.getElementById('convert-btn'),
+            convertWorldBtn: document.getElementById('convert-world-btn'),
+            worldMode: document.getElementById('world-mode'),
+            levelSceneRoot: document.getElementById('level-scene-root'),
+            neighbourTriggers: document.getElementById('neighbour-triggers'),
+            levelBounds: document.getElementById('level-bounds'),
             progressIndicator: document.getElementById('progress-indicator'),
             progressFill: document.getElementById('progress-fill'),
             progressText: document.getElementById('progress-text'),
             outputSection: document.getElementById('output-section'),
             resultInfo: document.getElementById('result-info'),
-            downloadBtn: document.getElementById('download-btn')
+            downloadBtn: document.getElementById('download-btn'),
+            extraDownloads: document.getElementById('extra-downloads')
         };
     }
 
@@ -44,7 +66,13 @@ class UIManager {
     bindEvents() {
         // File input change
         this.elements.ldtkFile.addEventListener('change', (e) => {
-            this.handleFileSelect(e.target.files[0]);
+            this.handleFileSelect(Array.from(e.target.files));
+        });
+
+        // World selection change
+        this.elements.worldSelect.addEventListener('change', () => {
+            this.populateLevelOptions();
+            this.handleLevelSelect('');
         });
 
         // Level selection change
@@ -52,11 +80,39 @@ class UIManager {
             this.handleLevelSelect(e.target.value);
         });
 
+        // Tileset mapping edits and files are persisted by the app
+        this.elements.tilesetMapping.addEventListener('change', (e) => {
+            if (window.app && window.app.saveTilesetMapping) {
+                window.app.saveTilesetMapping(e.target.value);
+            }
+        });
+
+        this.elements.tilesetMappingFile.addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            if (file && window.app && window.app.loadTilesetMappingFile) {
+                window.app.loadTilesetMappingFile(file);
+            }
+            e.target.value = '';
+        });
+
+        // Existing Godot files whose UIDs should be reused
+        this.elements.uidFiles.addEventListener('change', (e) => {
+            const files = Array.from(e.target.files);
+            if (files.length > 0 && window.app && window.app.loadUIDFiles) {
+                window.app.loadUIDFiles(files);
+            }
+        });
+
         // Convert button click
         this.elements.convertBtn.addEventListener('click', () => {
             this.handleConvert();
         });
 
+        // Convert world button click
+        this.elements.convertWorldBtn.addEventListener('click', () => {
+            this.handleConvertWorld();
+        });
+
         // Download button click
         this.elements.downloadBtn.addEventListener('click', () => {
             this.handleDownload();
@@ -82,36 +138,45 @@ class UIManager {
             container.classList.remove('drag-over');
         });
 
-        container.addEventListener('drop', (e) => {
+        container.addEventListener('drop', async (e) => {
             e.preventDefault();
             container.classList.remove('drag-over');
             
-            const files = e.dataTransfer.files;
-            if (files.length > 0) {
-                this.handleFileSelect(files[0]);
+            // Dropped folders are walked so external level files come along
+            const fileHandler = window.app ? window.app.fileHandler : new FileHandler();
+            try {
+                const files = await fileHandler.collectDroppedFiles(e.dataTransfer);
+                if (files.length > 0) {
+                    this.handleFileSelect(files);
+                }
+            } catch (error) {
+                this.showError(`Could not read dropped files: ${error.message}`);
             }
         });
     }
 
     /**
-     * Handle file selection
+     * Handle file selection: one .ldtk project plus optional .ldtkl level files
      */
-    handleFileSelect(file) {
-        if (!file) {
+    handleFileSelect(files) {
+        if (!files || files.length === 0) {
             this.setFileStatus('No file selected', 'default');
             return;
         }
 
-        if (!file.name.toLowerCase().endsWith('.ldtk')) {
+        const projectFile = files.find(file => file.name.toLowerCase().endsWith('.ldtk'));
+        if (!projectFile) {
             this.setFileStatus('Please select a .ldtk file', 'error');
             return;
         }
 
-        this.setFileStatus(`Loading ${file.name} (${Utils.formatFileSize(file.size)})...`, 'loading');
+        const levelFileCount = files.filter(file => file.name.toLowerCase().endsWith('.ldtkl')).length;
+        const levelFilesText = levelFileCount > 0 ? ` with ${levelFileCount} level files` : '';
+        this.setFileStatus(`Loading ${projectFile.name} (${Utils.formatFileSize(projectFile.size)})${levelFilesText}...`, 'loading');
         
         // Trigger file processing
-        if (window.app && window.app.loadFile) {
-            window.app.loadFile(file);
+        if (window.app && window.app.loadFiles) {
+            window.app.loadFiles(files);
         }
     }
 
@@ -133,14 +198,15 @@ class UIManager {
     /**
      * Update UI after file is loaded
      */
-    onFileLoaded(levels) {
+    onFileLoaded(levels, worlds = []) {
         this.state.fileLoaded = true;
         
         // Update file status
-        this.setFileStatus(`File loaded successfully. Found ${levels.length} level(s).`, 'success');
+        const worldsText = worlds.length > 1 ? ` in ${worlds.length} worlds` : '';
+        this.setFileStatus(`File loaded successfully. Found ${levels.length} level(s)${worldsText}.`, 'success');
         
         // Populate level selector
-        this.populateLevelSelector(levels);
+        this.populateLevelSelector(levels, worlds);
         
         // Show level selector
         this.show(this.elements.levelSelector);
@@ -149,18 +215,49 @@ class UIManager {
     }
 
     /**
-     * Populate level selector dropdown
+     * Populate level selector dropdown, with a world selector for multi-world projects
+     */
+    populateLevelSelector(levels, worlds = []) {
+        this.levels = levels;
+        
+        const worldSelect = this.elements.worldSelect;
+        worldSelect.innerHTML = '';
+        
+        const realWorlds = worlds.filter(world => !world.implicit);
+        for (const world of realWorlds) {
+            const option = document.createElement('option');
+            option.value = world.iid;
+            option.textContent = `${world.identifier} (${world.levelCount} levels, ${world.worldLayout})`;
+            worldSelect.appendChild(option);
+        }
+        
+        if (realWorlds.length > 1) {
+            this.show(this.elements.worldSelectGroup);
+        } else {
+            this.hide(this.elements.worldSelectGroup);
+        }
+        
+        this.populateLevelOptions();
+    }
+
+    /**
+     * Fill the level dropdown with the levels of the selected world
      */
-    populateLevelSelector(levels) {
+    populateLevelOptions() {
         const select = this.elements.levelSelect;
+        const worldIid = this.elements.worldSelectGroup.style.display === 'none' ? null : this.elements.worldSelect.value;
         
         // Clear existing options
         select.innerHTML = '<option value="">Choose a level...</option>';
         
         // Add level options
-        for (const level of levels) {
+        for (const level of this.levels || []) {
+            if (worldIid && level.worldIid !== worldIid) {
+                continue;
+            }
+            
             const option = document.createElement('option');
-            option.value = level.identifier;
+            option.value = level.iid;
             option.textContent = `${level.identifier} (${level.pxWid}x${level.pxHei}px, ${level.layerCount} layers)`;
             select.appendChild(option);
         }
@@ -180,6 +277,7 @@ class UIManager {
             if (window.app && window.app.getLevelStats) {
                 const stats = window.app.getLevelStats(levelIdentifier);
                 if (stats) {
+                    this.populateLayerOptions(stats.layers);
                     this.displayLevelStats(stats);
                 }
             }
@@ -191,6 +289,43 @@ class UIManager {
         this.updateConvertButton();
     }
 
+    /**
+     * Build one checkbox per tile layer found in the selected level
+     */
+    populateLayerOptions(layers) {
+        const container = this.elements.layerOptions;
+        container.innerHTML = '';
+        
+        for (const [identifier, layer] of Object.entries(layers)) {
+            const group = document.createElement('div');
+            group.className = 'option-group';
+            
+            const label = document.createElement('label');
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.checked = true;
+            checkbox.dataset.layer = identifier;
+            
+            label.appendChild(checkbox);
+            const details = [layer.type];
+            if (layer.entityCount !== undefined) {
+                details.push(`${layer.entityCount} entities`);
+            } else {
+                details.push(`${layer.tileCount} tiles`);
+            }
+            if (layer.intGridCells !== undefined) {
+                details.push(`${layer.intGridCells} IntGrid cells`);
+            }
+            label.appendChild(document.createTextNode(`${identifier} (${details.join(', ')})`));
+            group.appendChild(label);
+            container.appendChild(group);
+        }
+        
+        if (container.children.length === 0) {
+            container.textContent = 'No tile layers found in this level';
+        }
+    }
+
     /**
      * Display level statistics
      */
@@ -208,7 +343,14 @@ class UIManager {
         }
 
         const levelIdentifier = this.elements.levelSelect.value;
-        const options = this.getConversionOptions();
+        let options;
+        
+        try {
+            options = this.getConversionOptions();
+        } catch (error) {
+            this.showError(error.message);
+            return;
+        }
 
         // Trigger conversion
         if (window.app && window.app.convertLevel) {
@@ -216,17 +358,93 @@ class UIManager {
         }
     }
 
+    /**
+     * Handle convert world button click: the selected world, or the only one
+     */
+    handleConvertWorld() {
+        if (!this.state.fileLoaded || this.state.converting) {
+            return;
+        }
+
+        const worldIdentifier = this.elements.worldSelectGroup.style.display === 'none' ? null : this.elements.worldSelect.value;
+        let options;
+        
+        try {
+            options = this.getConversionOptions();
+        } catch (error) {
+            this.showError(error.message);
+            return;
+        }
+
+        if (window.app && window.app.convertWorld) {
+            window.app.convertWorld(worldIdentifier, options);
+        }
+    }
+
     /**
      * Get conversion options from UI
      */
     getConversionOptions() {
+        const layers = {};
+        const checkboxes = this.elements.layerOptions.querySelectorAll('input[data-layer]');
+        
+        for (const checkbox of checkboxes) {
+            layers[checkbox.dataset.layer] = checkbox.checked;
+        }
+        
         return {
-            includeCollisions: this.elements.includeCollisions.checked,
-            includeShadows: this.elements.includeShadows.checked,
-            includeBackground: this.elements.includeBackground.checked
+            layers: layers,
+            intGridValueTable: this.parseJSONOption(this.elements.intGridTable, 'IntGrid value table'),
+            entityScenes: this.parseJSONOption(this.elements.entityScenes, 'entity scene mapping'),
+            parallaxNode: this.elements.parallaxNode.value,
+            backgroundMode: this.elements.backgroundMode.value,
+            tileMapTarget: this.elements.tileMapTarget.value,
+            ySortLayers: this.elements.ySortLayers.value.split(',').map(name => name.trim()).filter(Boolean),
+            tileEncoding: this.elements.tileEncoding.value,
+            flipMode: this.elements.flipMode.value,
+            uidMode: this.elements.uidMode.value,
+            tilesetMapping: this.parseJSONOption(this.elements.tilesetMapping, 'tileset mapping'),
+            generateTileSets: this.elements.generateTileSets.checked,
+            levelResource: this.elements.levelResource.checked,
+            levelResourceScript: this.elements.levelResourceScript.value.trim() || undefined,
+            worldMode: this.elements.worldMode.value,
+            levelSceneRoot: this.elements.levelSceneRoot.value.trim() || undefined,
+            neighbourTriggers: this.elements.neighbourTriggers.checked,
+            levelBounds: this.elements.levelBounds.value
         };
     }
 
+    /**
+     * Show how many existing UIDs were loaded
+     */
+    setUIDStatus(message) {
+        this.elements.uidStatus.textContent = message;
+    }
+
+    /**
+     * Set the tileset mapping JSON text
+     */
+    setTilesetMapping(text) {
+        this.elements.tilesetMapping.value = text;
+    }
+
+    /**
+     * Parse an optional JSON text field, throwing a readable error when invalid
+     */
+    parseJSONOption(element, label) {
+        const text = element.value.trim();
+        if (!text) {
+            return undefined;
+        }
+        
+        const parseResult = Utils.parseJSON(text);
+        if (!parseResult.success) {
+            throw new Error(`Invalid ${label}: ${parseResult.error}`);
+        }
+        
+        return parseResult.data;
+    }
+
     /**
      * Show conversion progress
      */
@@ -261,15 +479,17 @@ class UIManager {
     /**
      * Show conversion results
      */
-    showResults(preview, tscnContent) {
+    showResults(preview, tscnContent, extraFiles = []) {
         // Store TSCN content for download
         this.tscnContent = tscnContent;
-        this.filename = preview.levelName;
+        this.filename = preview.filename;
         
         // Display result information
         const resultHTML = this.formatResultInfo(preview);
         this.elements.resultInfo.innerHTML = resultHTML;
         
+        this.populateExtraDownloads(extraFiles);
+        
         // Show output section
         this.show(this.elements.outputSection);
     }
@@ -284,9 +504,11 @@ class UIManager {
 
         return `
             <div class="result-summary">
-                <h4>${preview.levelName}</h4>
+                <h4>${preview.worldName ? `${preview.worldName} / ` : ''}${preview.levelName}</h4>
                 <p><strong>Dimensions:</strong> ${preview.dimensions}</p>
                 <p><strong>Total Tiles:</strong> ${preview.totalTiles}</p>
+                <p><strong>Entities:</strong> ${preview.entityCount}</p>
+                <p><strong>Unresolved Entity References:</strong> ${preview.unresolvedReferences}</p>
                 <p><strong>Layers:</strong> ${preview.layerCount}</p>
                 <p><strong>Estimated File Size:</strong> ${preview.estimatedFileSize}</p>
             </div>
@@ -297,12 +519,48 @@ class UIManager {
         `;
     }
 
+    /**
+     * Add a download button for each companion file (level resource, ...)
+     */
+    populateExtraDownloads(extraFiles) {
+        const container = this.elements.extraDownloads;
+        container.innerHTML = '';
+        
+        // A zip keeps world folders, which scenes refer to in their res:// paths
+        if (extraFiles.length > 0) {
+            const zipName = this.filename.replace(/\//g, '_').replace(/\.tscn$/, '.zip');
+            const files = [{ filename: this.filename, content: this.tscnContent }, ...extraFiles];
+            const button = document.createElement('button');
+            button.className = 'download-button';
+            button.textContent = `Download all as ${zipName}`;
+            button.addEventListener('click', () => {
+                Utils.downloadFile(Utils.createZip(files), zipName, 'application/zip');
+                Utils.log(`Downloaded: ${zipName}`);
+            });
+            container.appendChild(button);
+        }
+        
+        for (const file of extraFiles) {
+            // Downloads cannot create folders, so world folders become a prefix
+            const filename = file.filename.replace(/\//g, '_');
+            const button = document.createElement('button');
+            button.className = 'download-button';
+            button.textContent = `Download ${filename}`;
+            button.addEventListener('click', () => {
+                Utils.downloadFile(file.content, filename, 'text/plain');
+                Utils.log(`Downloaded: ${filename}`);
+            });
+            container.appendChild(button);
+        }
+    }
+
     /**
      * Handle download button click
      */
     handleDownload() {
         if (this.tscnContent && this.filename) {
-            const filename = `${this.filename}.tscn`;
+            // Downloads cannot create folders, so world folders become a prefix
+            const filename = this.filename.replace(/\//g, '_');
             Utils.downloadFile(this.tscnContent, filename, 'text/plain');
             Utils.log(`Downloaded: ${filename}`);
         }
@@ -314,6 +572,7 @@ class UIManager {
     updateConvertButton() {
         const canConvert = this.state.fileLoaded && this.state.levelSelected && !this.state.converting;
         this.elements.convertBtn.disabled = !canConvert;
+        this.elements.convertWorldBtn.disabled = !this.state.fileLoaded || this.state.converting;
         
         if (this.state.converting) {
             this.elements.convertBtn.textContent = 'Converting...';
@@ -364,6 +623,7 @@ class UIManager {
         this.setFileStatus('No file selected', 'default');
         
         this.hide(this.elements.levelSelector);
+        this.hide(this.elements.worldSelectGroup);
         this.hide(this.elements.conversionOptions);
         this.hide(this.elements.progressIndicator);
         this.hide(this.elements.outputSection);
@@ -50,7 +50,7 @@ class Utils {
             errors.push("Invalid LDtk file: Missing or incorrect header");
         }
         
-        if (!data.levels || !Array.isArray(data.levels)) {
+        if (!Array.isArray(data.levels) && !Array.isArray(data.worlds)) {
             errors.push("Invalid LDtk file: Missing levels array");
         }
         
@@ -64,6 +64,34 @@ class Utils {
         };
     }
 
+    /**
+     * Get the worlds of an LDtk project.
+     * Projects without multi-worlds keep their levels at the top level; they are
+     * returned as a single implicit world.
+     */
+    static getProjectWorlds(data) {
+        if (data.worlds && data.worlds.length > 0) {
+            return data.worlds;
+        }
+        
+        return [{
+            identifier: 'World',
+            iid: data.iid,
+            worldLayout: data.worldLayout,
+            worldGridWidth: data.worldGridWidth,
+            worldGridHeight: data.worldGridHeight,
+            levels: data.levels || [],
+            implicit: true
+        }];
+    }
+
+    /**
+     * Get every level of an LDtk project, across all worlds
+     */
+    static getProjectLevels(data) {
+        return Utils.getProjectWorlds(data).flatMap(world => world.levels || []);
+    }
+
     /**
      * Get unique ID for resources
      */
@@ -71,6 +99,102 @@ class Utils {
         return Date.now().toString(36) + Math.random().toString(36).substr(2, 9);
     }
 
+    /**
+     * Derive a stable uid:// from a seed string: 64-bit FNV-1a hash
+     * truncated to Godot's 63-bit resource IDs
+     */
+    static deterministicUID(seed) {
+        let hash = 0xcbf29ce484222325n;
+        
+        for (let i = 0; i < seed.length; i++) {
+            hash ^= BigInt(seed.charCodeAt(i));
+            hash = (hash * 0x100000001b3n) & 0xffffffffffffffffn;
+        }
+        
+        return Utils.uidToText(hash & 0x7fffffffffffffffn);
+    }
+
+    /**
+     * Derive a random uid:// from a random 63-bit resource ID
+     */
+    static randomUID() {
+        let id = 0n;
+        
+        for (let i = 0; i < 4; i++) {
+            id = (id << 16n) | BigInt(Math.floor(Math.random() * 0x10000));
+        }
+        
+        return Utils.uidToText(id & 0x7fffffffffffffffn);
+    }
+
+    /**
+     * Encode a resource ID as uid:// text in Godot's base-34 alphabet
+     * (a-y, then 0-8, as in ResourceUID::id_to_text)
+     */
+    static uidToText(id) {
+        const alphabet = 'abcdefghijklmnopqrstuvwxy012345678';
+        let text = '';
+        
+        do {
+            text = alphabet[Number(id % 34n)] + text;
+            id /= 34n;
+        } while (id > 0n);
+        
+        return `uid://${text}`;
+    }
+
+    /**
+     * Get the uid:// of a resource: reused from options.knownUIDs by path,
+     * derived from the seed when options.uidMode is 'deterministic',
+     * random otherwise. Random UIDs are generated once per seed and reused,
+     * so references (e.g. a world index's PackedScenes) match their headers
+     */
+    static getResourceUID(options, path, seed = path) {
+        const knownUID = path ? Utils.findKnownUID(options.knownUIDs, path) : null;
+        if (knownUID) {
+            return knownUID;
+        }
+        
+        if (options.uidMode === 'deterministic') {
+            return Utils.deterministicUID(seed);
+        }
+        
+        if (!Utils.randomUIDs.has(seed)) {
+            Utils.randomUIDs.set(seed, Utils.randomUID());
+        }
+        
+        return Utils.randomUIDs.get(seed);
+    }
+
+    /**
+     * Find a known UID by res:// or project-relative path. Known paths may
+     * start with extra folders (e.g. the project folder of a selected directory)
+     */
+    static findKnownUID(knownUIDs, path) {
+        if (!knownUIDs) {
+            return null;
+        }
+        
+        const relPath = path.replace(/^res:\/\//, '');
+        
+        for (const [knownPath, uid] of Object.entries(knownUIDs)) {
+            if (knownPath === relPath || knownPath.endsWith(`/${relPath}`)) {
+                return uid;
+            }
+        }
+        
+        return null;
+    }
+
+    /**
+     * Convert a path relative to the LDtk project into a res:// path,
+     * dropping leading ./ and ../ segments
+     */
+    static relPathToResPath(relPath, resRoot = 'res://') {
+        const normalized = relPath.replace(/\\/g, '/').replace(/^(\.\.?\/)+/, '');
+        return `${resRoot}${normalized}`;
+    }
+
     /**
      * Convert LDtk pixel coordinates to Godot grid coordinates
      */
@@ -96,15 +220,28 @@ class Utils {
     }
 
     /**
-     * Convert LDtk layer identifier to Godot layer index
+     * Convert LDtk layer identifier to Godot layer index,
+     * given the layer identifiers in bottom-to-top order
      */
-    static getLayerIndex(identifier) {
-        const layerMapping = {
-            'Bg_textures_baked': 0,      // Background layer (bottom)
-            'Wall_shadows_baked': 1,     // Shadows layer (middle)
-            'Collisions_baked': 2        // Collision layer (top)
-        };
-        return layerMapping[identifier] || 0;
+    static getLayerIndex(identifier, layerOrder) {
+        const index = layerOrder.indexOf(identifier);
+        return index >= 0 ? index : 0;
+    }
+
+    /**
+     * Build a relative NodePath between two node paths (both relative to the scene root)
+     */
+    static relativeNodePath(fromPath, toPath) {
+        const from = fromPath ? fromPath.split('/') : [];
+        const to = toPath ? toPath.split('/') : [];
+        
+        let common = 0;
+        while (common < from.length && common < to.length && from[common] === to[common]) {
+            common++;
+        }
+        
+        const segments = [...Array(from.length - common).fill('..'), ...to.slice(common)];
+        return segments.length > 0 ? segments.join('/') : '.';
     }
 
     /**
@@ -130,6 +267,140 @@ class Utils {
         return str.replace(/\\/g, '\\\\').replace(/"/g, '\\"');
     }
 
+    /**
+     * Encode bytes as base64, the way Godot 4.3+ writes PackedByteArray values
+     */
+    static bytesToBase64(bytes) {
+        const alphabet = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+        let result = '';
+        
+        for (let i = 0; i < bytes.length; i += 3) {
+            const chunk = (bytes[i] << 16) | ((bytes[i + 1] || 0) << 8) | (bytes[i + 2] || 0);
+            result += alphabet[(chunk >> 18) & 63] + alphabet[(chunk >> 12) & 63];
+            result += i + 1 < bytes.length ? alphabet[(chunk >> 6) & 63] : '=';
+            result += i + 2 < bytes.length ? alphabet[chunk & 63] : '=';
+        }
+        
+        return result;
+    }
+
+    /**
+     * Package text files into an uncompressed zip archive, keeping their
+     * folders, so a set of files referring to each other by path stays intact
+     */
+    static createZip(files) {
+        const encoder = new TextEncoder();
+        const localParts = [];
+        const centralParts = [];
+        let offset = 0;
+        
+        for (const file of files) {
+            const name = encoder.encode(file.filename);
+            const data = encoder.encode(file.content);
+            const crc = Utils.crc32(data);
+            
+            // Shared fields: version 2.0, UTF-8 names, stored, 1980-01-01 00:00
+            const fields = [[20, 2], [0x0800, 2], [0, 2], [0, 2], [0x21, 2], [crc, 4], [data.length, 4], [data.length, 4], [name.length, 2], [0, 2]];
+            
+            const local = Utils.packLittleEndian([[0x04034b50, 4], ...fields]);
+            localParts.push(local, name, data);
+            
+            centralParts.push(Utils.packLittleEndian([
+                [0x02014b50, 4], [20, 2], ...fields, [0, 2], [0, 2], [0, 2], [0, 4], [offset, 4]
+            ]), name);
+            
+            offset += local.length + name.length + data.length;
+        }
+        
+        const centralSize = centralParts.reduce((size, part) => size + part.length, 0);
+        const end = Utils.packLittleEndian([
+            [0x06054b50, 4], [0, 2], [0, 2], [files.length, 2], [files.length, 2], [centralSize, 4], [offset, 4], [0, 2]
+        ]);
+        
+        const parts = [...localParts, ...centralParts, end];
+        const zip = new Uint8Array(parts.reduce((size, part) => size + part.length, 0));
+        let position = 0;
+        for (const part of parts) {
+            zip.set(part, position);
+            position += part.length;
+        }
+        
+        return zip;
+    }
+
+    /**
+     * Pack [value, byteCount] pairs as little-endian bytes
+     */
+    static packLittleEndian(fields) {
+        const bytes = [];
+        
+        for (const [value, byteCount] of fields) {
+            for (let i = 0; i < byteCount; i++) {
+                bytes.push(Math.floor(value / 2 ** (8 * i)) & 0xff);
+            }
+        }
+        
+        return new Uint8Array(bytes);
+    }
+
+    /**
+     * CRC-32 checksum of bytes, as used by zip archives
+     */
+    static crc32(bytes) {
+        let crc = 0xffffffff;
+        
+        for (const byte of bytes) {
+            crc ^= byte;
+            for (let bit = 0; bit < 8; bit++) {
+                crc = (crc >>> 1) ^ (0xedb88320 & -(crc & 1));
+            }
+        }
+        
+        return (crc ^ 0xffffffff) >>> 0;
+    }
+
+    /**
+     * Format a number as a Godot float literal (always with a decimal point)
+     */
+    static formatFloat(value) {
+        return Number.isInteger(value) ? `${value}.0` : String(value);
+    }
+
+    /**
+     * Convert an LDtk hex color (#RRGGBB or #RRGGBBAA) to a Godot Color literal
+     */
+    static hexToGodotColor(hex, alpha = 1) {
+        const digits = hex.replace('#', '');
+        const channel = (offset) => parseFloat((parseInt(digits.substr(offset, 2), 16) / 255).toFixed(6));
+        const a = digits.length >= 8 ? channel(6) : alpha;
+        
+        return `Color(${channel(0)}, ${channel(2)}, ${channel(4)}, ${a})`;
+    }
+
+    /**
+     * Format a JavaScript value as a Godot Variant literal
+     */
+    static formatGodotValue(value) {
+        if (value === null || value === undefined) {
+            return 'null';
+        }
+        
+        if (typeof value === 'string') {
+            return `"${Utils.escapeTSCNString(value)}"`;
+        }
+        
+        if (typeof value === 'boolean' || typeof value === 'number') {
+            return String(value);
+        }
+        
+        if (Array.isArray(value)) {
+            return `[${value.map(item => Utils.formatGodotValue(item)).join(', ')}]`;
+        }
+        
+        const entries = Object.entries(value).map(([key, item]) => `"${Utils.escapeTSCNString(key)}": ${Utils.formatGodotValue(item)}`);
+        return `{${entries.join(', ')}}`;
+    }
+
     /**
      * Create progress callback for async operations
      */
@@ -159,5 +430,8 @@ class Utils {
     }
 }
 
+/** Random UIDs already handed out in this session, by seed */
+Utils.randomUIDs = new Map();
+
 // Export for use in other modules
 window.Utils = Utils;
\ No newline at end of file
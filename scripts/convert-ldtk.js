@@ -0,0 +1,256 @@
+#!/usr/bin/env node
+/*
+ Command-line LDtk to TSCN conversion using the same modules as the web app.
+ - Accepts a .ldtk file or a directory containing one.
+ - Projects saved with "Save levels to separate files" have their .ldtkl
+   level files read from disk (via each level's externalRelPath).
+ - Writes one .tscn per converted level, under a folder per world for
+   multi-world projects, plus a .tres level resource when requested.
+ - With --world, writes one scene per world instead, holding every level
+   at its world position. With --world-index, writes the level scenes plus
+   a world index scene instancing them and a <World>.json manifest; level
+   scenes go below the --scene-root folder, relative to the output directory.
+ - With --tilesets, also writes a TileSet .tres per used tileset at its
+   res:// path relative to the output directory.
+ Usage:
+   npm run convert -- <project.ldtk | project-dir> [--level <identifier>] [--out <dir>]
+                      [--level-resource] [--level-script <res://script.gd>] [--tilesets]
+                      [--tileset-mapping <mapping.json>] [--encoding legacy|godot4]
+                      [--flips transform|alternatives] [--target TileMap|TileMapLayer|MergedTileMap]
+                      [--y-sort <Layer,Layer>] [--uids random|deterministic]
+                      [--reuse-uids <godot-project-dir>] [--world]
+                      [--world-index] [--scene-root <res://levels/>] [--neighbour-triggers]
+                      [--bounds none|rect|camera|both]
+*/
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+// Browser modules in load order (see index.html), minus the UI
+const MODULES = [
+  'utils.js',
+  'tilesetMapper.js',
+  'intGridMapper.js',
+  'ldtkParser.js',
+  'tscnGenerator.js',
+  'tileSetGenerator.js',
+  'fileHandler.js',
+];
+
+function loadModules() {
+  const context = { console };
+  context.window = context;
+  vm.createContext(context);
+
+  const jsDir = path.resolve(__dirname, '..', 'js');
+  for (const moduleName of MODULES) {
+    const modulePath = path.join(jsDir, moduleName);
+    vm.runInContext(fs.readFileSync(modulePath, 'utf8'), context, { filename: modulePath });
+  }
+  return context;
+}
+
+function parseArgs(argv) {
+  const args = { input: null, level: null, out: process.cwd(), levelResource: false, levelScript: null, tilesets: false, tilesetMapping: null, encoding: 'legacy', flips: 'transform', target: 'TileMap', ySort: [], uids: 'random', reuseUids: null, world: false, worldIndex: false, sceneRoot: null, neighbourTriggers: false, bounds: 'none' };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    // Value of an option taking one, which must not be missing or another flag
+    const value = () => {
+      const next = argv[++i];
+      if (next === undefined || next.startsWith('--')) {
+        throw new Error(`Missing value for ${arg}`);
+      }
+      return next;
+    };
+    if (arg === '--level') args.level = value();
+    else if (arg === '--out') args.out = value();
+    else if (arg === '--level-resource') args.levelResource = true;
+    else if (arg === '--tilesets') args.tilesets = true;
+    else if (arg === '--tileset-mapping') args.tilesetMapping = value();
+    else if (arg === '--encoding') args.encoding = value();
+    else if (arg === '--flips') args.flips = value();
+    else if (arg === '--target') args.target = value();
+    else if (arg === '--y-sort') args.ySort = value().split(',').map(name => name.trim()).filter(Boolean);
+    else if (arg === '--uids') args.uids = value();
+    else if (arg === '--reuse-uids') args.reuseUids = value();
+    else if (arg === '--world') args.world = true;
+    else if (arg === '--world-index') args.worldIndex = true;
+    else if (arg === '--scene-root') args.sceneRoot = value();
+    else if (arg === '--neighbour-triggers') args.neighbourTriggers = true;
+    else if (arg === '--bounds') args.bounds = value();
+    else if (arg === '--level-script') {
+      args.levelScript = value();
+      args.levelResource = true;
+    }
+    else if (!args.input) args.input = arg;
+  }
+  return args;
+}
+
+function resolveProjectFile(input) {
+  const inputPath = path.resolve(process.cwd(), input);
+  if (!fs.existsSync(inputPath)) {
+    throw new Error(`Not found: ${inputPath}`);
+  }
+  if (!fs.statSync(inputPath).isDirectory()) {
+    return inputPath;
+  }
+
+  const projects = fs.readdirSync(inputPath).filter(f => f.toLowerCase().endsWith('.ldtk'));
+  if (projects.length !== 1) {
+    throw new Error(`Expected one .ldtk file in ${inputPath}, found ${projects.length}`);
+  }
+  return path.join(inputPath, projects[0]);
+}
+
+function readLevelFiles(app, projectPath, data) {
+  const projectDir = path.dirname(projectPath);
+  const levelFiles = [];
+
+  for (const level of app.Utils.getProjectLevels(data)) {
+    if (!level.externalRelPath) continue;
+    const levelPath = path.join(projectDir, level.externalRelPath);
+    if (!fs.existsSync(levelPath)) {
+      console.error(`Warning: missing level file ${levelPath}`);
+      continue;
+    }
+    levelFiles.push({ path: level.externalRelPath, content: fs.readFileSync(levelPath, 'utf8') });
+  }
+  return levelFiles;
+}
+
+// Collect .tres/.tscn/.import files of a Godot project, with project-relative paths
+function readUIDFiles(projectDir, dir = projectDir, files = []) {
+  for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+    const entryPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      if (!entry.name.startsWith('.')) readUIDFiles(projectDir, entryPath, files);
+    } else if (/\.(tres|tscn|import)$/.test(entry.name)) {
+      const relPath = path.relative(projectDir, entryPath).split(path.sep).join('/');
+      files.push({ path: relPath, content: fs.readFileSync(entryPath, 'utf8') });
+    }
+  }
+  return files;
+}
+
+const USAGE = 'Usage: npm run convert -- <project.ldtk | project-dir> [--level <identifier>] [--out <dir>] [--level-resource] [--level-script <res://script.gd>] [--tilesets] [--tileset-mapping <mapping.json>] [--encoding legacy|godot4] [--flips transform|alternatives] [--target TileMap|TileMapLayer|MergedTileMap] [--y-sort <Layer,Layer>] [--uids random|deterministic] [--reuse-uids <godot-project-dir>] [--world] [--world-index] [--scene-root <res://levels/>] [--neighbour-triggers] [--bounds none|rect|camera|both]';
+
+function main() {
+  let args;
+  try {
+    args = parseArgs(process.argv.slice(2));
+  } catch (err) {
+    console.error(err.message);
+    console.error(USAGE);
+    process.exit(1);
+  }
+  if (!args.input) {
+    console.error(USAGE);
+    process.exit(1);
+  }
+
+  try {
+    const app = loadModules();
+    const fileHandler = new app.FileHandler();
+    const parser = new app.LDtkParser();
+    const generator = new app.TSCNGenerator();
+    const tileSetGenerator = new app.TileSetGenerator();
+
+    const projectPath = resolveProjectFile(args.input);
+    const validation = fileHandler.validateLDtkContent(fs.readFileSync(projectPath, 'utf8'));
+    if (!validation.isValid) {
+      throw new Error(validation.error);
+    }
+
+    const levelFiles = readLevelFiles(app, projectPath, validation.data);
+    const projectData = fileHandler.mergeExternalLevels(validation.data, levelFiles);
+    const compatibility = fileHandler.checkCompatibility(projectData);
+    if (!compatibility.compatible) {
+      throw new Error(compatibility.issues.join('; '));
+    }
+    parser.loadData(projectData);
+
+    const levels = parser.getLevels().filter(level => !args.level || level.identifier === args.level || level.iid === args.level);
+    if (levels.length === 0) {
+      throw new Error(args.level ? `Level not found: ${args.level}` : 'No levels found');
+    }
+
+    const options = {
+      levelResourceScript: args.levelScript || undefined,
+      tilesetMapping: args.tilesetMapping ? JSON.parse(fs.readFileSync(args.tilesetMapping, 'utf8')) : undefined,
+      tileEncoding: args.encoding,
+      flipMode: args.flips,
+      tileMapTarget: args.target,
+      ySortLayers: args.ySort,
+      uidMode: args.uids,
+      levelSceneRoot: args.sceneRoot || undefined,
+      neighbourTriggers: args.neighbourTriggers,
+      levelBounds: args.bounds,
+      worldOffset: args.worldIndex,
+      knownUIDs: args.reuseUids ? fileHandler.parseResourceUIDs(readUIDFiles(path.resolve(args.reuseUids))) : undefined,
+    };
+    const writtenTileSets = new Set();
+    const conversions = [];
+    fs.mkdirSync(args.out, { recursive: true });
+    const writeFile = (relPath, content) => {
+      const outPath = path.join(args.out, relPath);
+      fs.mkdirSync(path.dirname(outPath), { recursive: true });
+      fs.writeFileSync(outPath, content);
+      console.log(`Wrote ${outPath}`);
+    };
+
+    if (args.world || args.worldIndex) {
+      for (const world of parser.getWorlds()) {
+        const worldData = parser.convertWorld(world.iid, options);
+        if (!generator.hasWorldContent(worldData)) {
+          console.log(`Skipped ${world.identifier}: nothing to convert`);
+          continue;
+        }
+        if (args.worldIndex) {
+          for (const conversionData of worldData.levels) {
+            if (!generator.hasContent(conversionData)) continue;
+            const level = conversionData.level;
+            writeFile(generator.getLevelSceneFilename(level, options), generator.generateTSCN(conversionData, options));
+          }
+          writeFile(generator.generateFilename(world.identifier), generator.generateWorldIndexTSCN(worldData, options));
+          writeFile(generator.generateFilename(world.identifier, null, '.json'), generator.generateWorldManifest(worldData, options));
+        } else {
+          writeFile(generator.generateFilename(world.identifier), generator.generateWorldTSCN(worldData, options));
+        }
+        conversions.push(...worldData.levels);
+      }
+    } else {
+      for (const level of levels) {
+        const conversionData = parser.convertLevel(level.iid, options);
+        if (!generator.hasContent(conversionData)) {
+          console.log(`Skipped ${level.identifier}: nothing to convert`);
+          continue;
+        }
+        writeFile(generator.generateFilename(level.identifier, level.worldIdentifier), generator.generateTSCN(conversionData, options));
+        conversions.push(conversionData);
+      }
+    }
+
+    for (const conversionData of conversions) {
+      const level = conversionData.level;
+
+      if (args.levelResource) {
+        writeFile(generator.generateFilename(level.identifier, level.worldIdentifier, '.tres'), generator.generateLevelResource(conversionData, options));
+      }
+
+      if (args.tilesets) {
+        for (const file of tileSetGenerator.generateTileSetFiles(conversionData, options)) {
+          if (writtenTileSets.has(file.filename)) continue;
+          writeFile(file.filename, file.content);
+          writtenTileSets.add(file.filename);
+        }
+      }
+    }
+  } catch (err) {
+    console.error('Conversion failed:', err.message);
+    process.exit(1);
+  }
+}
+
+main();
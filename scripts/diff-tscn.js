@@ -1,10 +1,15 @@
 #!/usr/bin/env node
 /*
  Quick diff for Godot .tscn TileMap tile_data triplets between two files.
- - Compares per-layer, per-cell position with source, altId, flip flags.
+ - Reads TileMap layer_0/tile_data and TileMapLayer tile_map_data (Godot 4.3+).
+ - Decodes each cell like Godot: x/y, source id, atlas coords, alternative id
+   and the transform flags (flip_h, flip_v, transpose) stored in it.
+ - With --tileset, alternative tiles are resolved to their flips, so a flipped
+   alternative tile matches the same flip written as transform flags.
+ - Compares per-layer, per-cell source, atlas coords, altId, flip flags.
  - Exit code 0 if equal, 1 if differences found or parse error.
  Usage:
-   npm run diff-tscn -- <good.tscn> <test.tscn>
+   npm run diff-tscn -- <good.tscn> <test.tscn> [--tileset <tileset.tres>]
    (If no args, auto-detect the two provided baseline files in repo root.)
 */
 
@@ -15,6 +20,54 @@ const BIT_FLIP_H = 1 << 28;
 const BIT_FLIP_V = 1 << 29;
 const BIT_TRANSPOSE = 1 << 30;
 const ALT_MASK = 0x0000ffff;
+// Transform flags within the alternative id (upper 16 bits of the 3rd int)
+const ALT_ID_MASK = 0x0fff;
+
+function int16(value) {
+  return (value << 16) >> 16;
+}
+
+// Parse flipped alternative tiles from a TileSet .tres:
+// "<source>:<x>:<y>:<alt>" -> { h, v, t }
+function parseTileSetAlternatives(filePath) {
+  const lines = fs.readFileSync(filePath, 'utf8').split(/\r?\n/);
+  const sourceIds = new Map(); // sub_resource id -> source id
+  const tilesBySubResource = new Map();
+  let currentSubResource = null;
+
+  for (const rawLine of lines) {
+    const line = rawLine.trim();
+    const sectionMatch = line.match(/^\[sub_resource\s+type="TileSetAtlasSource"\s+id="([^"]+)"/);
+    if (sectionMatch) {
+      currentSubResource = sectionMatch[1];
+      tilesBySubResource.set(currentSubResource, []);
+      continue;
+    }
+    if (line.startsWith('[')) {
+      currentSubResource = null;
+    }
+    const sourceMatch = line.match(/^sources\/(\d+)\s*=\s*SubResource\("([^"]+)"\)/);
+    if (sourceMatch) {
+      sourceIds.set(sourceMatch[2], parseInt(sourceMatch[1], 10));
+      continue;
+    }
+    const flipMatch = currentSubResource && line.match(/^(\d+):(\d+)\/(\d+)\/(flip_h|flip_v|transpose)\s*=\s*true/);
+    if (flipMatch) {
+      tilesBySubResource.get(currentSubResource).push(flipMatch.slice(1));
+    }
+  }
+
+  const alternatives = new Map();
+  for (const [subResource, tiles] of tilesBySubResource) {
+    const sourceId = sourceIds.has(subResource) ? sourceIds.get(subResource) : 0;
+    for (const [x, y, alt, property] of tiles) {
+      const key = `${sourceId}:${x}:${y}:${alt}`;
+      if (!alternatives.has(key)) alternatives.set(key, { h: false, v: false, t: false });
+      alternatives.get(key)[{ flip_h: 'h', flip_v: 'v', transpose: 't' }[property]] = true;
+    }
+  }
+  return alternatives;
+}
 
 function findDefaultFiles(repoRoot) {
   const entries = fs.readdirSync(repoRoot);
@@ -26,21 +79,74 @@ function findDefaultFiles(repoRoot) {
   };
 }
 
-function parseTscn(filePath) {
+// Build a cell from decoded fields; `alt` is the equivalent tile_data 3rd int
+function makeCell(source, atlas, alternative, alternatives) {
+  const alt = (atlas[1] & ALT_MASK) | (alternative << 16);
+  let altId = alternative & ALT_ID_MASK;
+  const flags = {
+    h: (alt & BIT_FLIP_H) !== 0,
+    v: (alt & BIT_FLIP_V) !== 0,
+    t: (alt & BIT_TRANSPOSE) !== 0,
+  };
+  // A flipped alternative tile is the same as base tile plus transform flags
+  const altFlips = alternatives && alternatives.get(`${source}:${atlas[0]}:${atlas[1]}:${altId}`);
+  if (altFlips) {
+    flags.h = flags.h !== altFlips.h;
+    flags.v = flags.v !== altFlips.v;
+    flags.t = flags.t !== altFlips.t;
+    altId = 0;
+  }
+  return { source, atlas, alt, altId, flags };
+}
+
+// Decode TileMapLayer tile_map_data: uint16 format, then 12 bytes per cell
+function parseTileMapData(line, cells, alternatives) {
+  const base64Match = line.match(/PackedByteArray\("([^"]*)"\)/);
+  const listMatch = line.match(/PackedByteArray\(([^)"]*)\)/);
+  let bytes;
+  if (base64Match) {
+    bytes = Buffer.from(base64Match[1], 'base64');
+  } else if (listMatch) {
+    bytes = Buffer.from(listMatch[1].split(',').map(s => s.trim()).filter(Boolean).map(s => parseInt(s, 10)));
+  } else {
+    return;
+  }
+  if (bytes.length < 2) return;
+  const format = bytes.readUInt16LE(0);
+  if (format !== 0) {
+    throw new Error(`Unsupported tile_map_data format ${format}`);
+  }
+  for (let offset = 2; offset + 12 <= bytes.length; offset += 12) {
+    const position = `${bytes.readInt16LE(offset)},${bytes.readInt16LE(offset + 2)}`;
+    const source = bytes.readUInt16LE(offset + 4);
+    const atlas = [bytes.readInt16LE(offset + 6), bytes.readInt16LE(offset + 8)];
+    cells.set(position, makeCell(source, atlas, bytes.readUInt16LE(offset + 10), alternatives));
+  }
+}
+
+function parseTscn(filePath, alternatives = null) {
   const text = fs.readFileSync(filePath, 'utf8');
   const lines = text.split(/\r?\n/);
-  const layers = {}; // name -> { cells: Map(positionInt -> {src, alt, altId, flags}) }
+  const layers = {}; // name -> { cells: Map("x,y" -> {source, atlas, alt, altId, flags}) }
   let currentLayer = null;
 
   for (let i = 0; i < lines.length; i++) {
     const line = lines[i].trim();
-    const nodeMatch = line.match(/^\[node\s+name="([^"]+)"\s+type="TileMap"/);
+    const nodeMatch = line.match(/^\[node\s+name="([^"]+)"\s+type="TileMap(?:Layer)?"/);
     if (nodeMatch) {
       currentLayer = nodeMatch[1];
       if (!layers[currentLayer]) layers[currentLayer] = { cells: new Map() };
       continue;
     }
+    if (line.startsWith('[')) {
+      currentLayer = null;
+      continue;
+    }
     if (!currentLayer) continue;
+    if (line.startsWith('tile_map_data')) {
+      parseTileMapData(line, layers[currentLayer].cells, alternatives);
+      continue;
+    }
     if (line.startsWith('layer_0/tile_data')) {
       const arrMatch = line.match(/PackedInt32Array\(([^)]*)\)/);
       if (!arrMatch) continue;
@@ -50,16 +156,11 @@ function parseTscn(filePath) {
         .filter(Boolean)
         .map(s => parseInt(s, 10));
       for (let j = 0; j + 2 < parts.length; j += 3) {
-        const position = parts[j];
-        const source = parts[j + 1];
-        const alt = parts[j + 2];
-        const altId = alt & ALT_MASK;
-        const flags = {
-          h: (alt & BIT_FLIP_H) !== 0,
-          v: (alt & BIT_FLIP_V) !== 0,
-          t: (alt & BIT_TRANSPOSE) !== 0,
-        };
-        layers[currentLayer].cells.set(position, { source, alt, altId, flags });
+        const position = `${int16(parts[j])},${parts[j] >> 16}`;
+        const source = parts[j + 1] & ALT_MASK;
+        const atlas = [parts[j + 1] >> 16, int16(parts[j + 2] & ALT_MASK)];
+        const alternative = (parts[j + 2] >>> 16) & ALT_MASK;
+        layers[currentLayer].cells.set(position, makeCell(source, atlas, alternative, alternatives));
       }
     }
   }
@@ -81,7 +182,7 @@ function compareLayers(lhs, rhs) {
         diffs.push({ layer: name, position: pos, type: 'presence', left: lc, right: rc });
         continue;
       }
-      const srcEq = lc.source === rc.source;
+      const srcEq = lc.source === rc.source && lc.atlas[0] === rc.atlas[0] && lc.atlas[1] === rc.atlas[1];
       const altIdEq = lc.altId === rc.altId;
       const hEq = lc.flags.h === rc.flags.h;
       const vEq = lc.flags.v === rc.flags.v;
@@ -100,7 +201,10 @@ function fmtFlags(f) {
 
 function main() {
   const repoRoot = path.resolve(__dirname, '..', '..');
-  const [argA, argB] = process.argv.slice(2);
+  const args = process.argv.slice(2);
+  const tilesetIndex = args.indexOf('--tileset');
+  const tilesetArg = tilesetIndex >= 0 ? args.splice(tilesetIndex, 2)[1] : null;
+  const [argA, argB] = args;
   let fileA = argA;
   let fileB = argB;
 
@@ -132,8 +236,15 @@ function main() {
   console.log(' Right (test)   :', bPath);
 
   try {
-    const left = parseTscn(aPath);
-    const right = parseTscn(bPath);
+    let alternatives = null;
+    if (tilesetArg) {
+      const tilesetPath = path.resolve(process.cwd(), tilesetArg);
+      alternatives = parseTileSetAlternatives(tilesetPath);
+      console.log(' TileSet        :', tilesetPath, `(${alternatives.size} flipped alternatives)`);
+    }
+
+    const left = parseTscn(aPath, alternatives);
+    const right = parseTscn(bPath, alternatives);
     const diffs = compareLayers(left, right);
 
     const byLayer = new Map();
@@ -160,6 +271,7 @@ function main() {
         const l = d.left; const r = d.right;
         const parts = [];
         if (l.source !== r.source) parts.push(`src ${l.source} vs ${r.source}`);
+        if (l.atlas[0] !== r.atlas[0] || l.atlas[1] !== r.atlas[1]) parts.push(`atlas ${l.atlas} vs ${r.atlas}`);
         if (l.altId !== r.altId) parts.push(`altId ${l.altId} vs ${r.altId}`);
         if (l.flags.h !== r.flags.h) parts.push(`H ${l.flags.h} vs ${r.flags.h}`);
         if (l.flags.v !== r.flags.v) parts.push(`V ${l.flags.v} vs ${r.flags.v}`);